@@ -1,7 +1,8 @@
 // middleware/auth.js
-const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const sessionService = require('../services/sessionService');
 
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -9,8 +10,18 @@ const auth = (req, res, next) => {
       return res.status(401).json({ error: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    req.user = decoded;
+    const decoded = await sessionService.authenticate(token);
+    if (!decoded) {
+      return res.status(401).json({ error: 'Session has been revoked, please sign in again' });
+    }
+
+    // Roles are read on every request so a change applies immediately
+    const user = await User.findById(decoded.userId).select('role');
+    if (!user) {
+      return res.status(401).json({ error: 'User no longer exists' });
+    }
+
+    req.user = { ...decoded, role: user.role };
     next();
   } catch (error) {
     res.status(401).json({ error: 'Token is not valid' });
@@ -0,0 +1,17 @@
+// middleware/authorize.js
+const STAFF_ROLES = ['admin', 'moderator'];
+
+// Role gate for routes behind `auth`, e.g. router.get('/', auth, authorize('admin'), ...)
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+// Platform staff can act on any task or participant, not just their own
+const isStaff = (user) => Boolean(user) && STAFF_ROLES.includes(user.role);
+
+module.exports = authorize;
+module.exports.isStaff = isStaff;
+module.exports.STAFF_ROLES = STAFF_ROLES;
\ No newline at end of file
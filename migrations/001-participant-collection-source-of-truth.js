@@ -0,0 +1,60 @@
+// migrations/001-participant-collection-source-of-truth.js
+const Task = require('../models/Task');
+const Participant = require('../models/Participant');
+const participantSlotService = require('../services/participantSlotService');
+
+// Task.participants was an embedded copy that no route kept up to date. Anything only
+// recorded there is moved into the Participant collection, the array is dropped, and
+// currentParticipants is recounted from the collection.
+module.exports = {
+  description: 'Make the Participant collection the single source of truth for task participants',
+
+  async up() {
+    // The field is gone from the schema, so read the raw documents
+    const tasks = await Task.collection
+      .find({ 'participants.0': { $exists: true } }, { projection: { participants: 1 } })
+      .toArray();
+
+    let copied = 0;
+    for (const task of tasks) {
+      for (const embedded of task.participants) {
+        if (!embedded.user) {
+          continue;
+        }
+
+        const proofUrl = embedded.verificationData?.proofUrl || null;
+        const joinedAt = embedded.joinedAt || new Date();
+
+        // Participant documents that already exist win
+        const result = await Participant.collection.updateOne(
+          { user: embedded.user, task: task._id },
+          {
+            $setOnInsert: {
+              status: embedded.status || 'PENDING',
+              proofSubmitted: Boolean(proofUrl),
+              ...(proofUrl ? { proofData: { warpcastUrl: proofUrl } } : {}),
+              verifiedAt: embedded.verificationData?.verifiedAt || null,
+              verificationNotes: 'Migrated from Task.participants',
+              createdAt: joinedAt,
+              updatedAt: new Date()
+            }
+          },
+          { upsert: true }
+        );
+        copied += result.upsertedCount;
+      }
+    }
+
+    const unset = await Task.collection.updateMany(
+      { participants: { $exists: true } },
+      { $unset: { participants: '' } }
+    );
+
+    const taskIds = await Task.distinct('_id');
+    for (const taskId of taskIds) {
+      await participantSlotService.reconcileSlots(taskId);
+    }
+
+    console.log(`🗄️  ${copied} embedded participants copied, ${unset.modifiedCount} tasks cleaned up, ${taskIds.length} slot counts reconciled`);
+  }
+};
\ No newline at end of file
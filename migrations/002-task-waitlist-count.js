@@ -0,0 +1,18 @@
+// migrations/002-task-waitlist-count.js
+const Task = require('../models/Task');
+const participantSlotService = require('../services/participantSlotService');
+
+// Waitlist positions are now reserved through Task.waitlist.count, like slots through
+// currentParticipants. Tasks that already had a waitlist need it counted once.
+module.exports = {
+  description: 'Count waitlisted participants into Task.waitlist.count',
+
+  async up() {
+    const taskIds = await Task.distinct('_id', { 'waitlist.enabled': true });
+    for (const taskId of taskIds) {
+      await participantSlotService.reconcileSlots(taskId);
+    }
+
+    console.log(`🗄️  Waitlist counted for ${taskIds.length} tasks`);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,39 @@
+// migrations/003-lowercase-wallet-addresses.js
+const User = require('../models/User');
+
+// Wallet addresses used to be stored as submitted (often checksummed) and looked up with a
+// case-insensitive regex. They're lowercased on write now, so existing ones are lowercased once.
+module.exports = {
+  description: 'Lowercase User.walletAddress so lookups can use the unique index',
+
+  async up() {
+    // Raw reads and writes: the schema's lowercase setter would hide what's actually stored
+    const users = await User.collection
+      .find({ walletAddress: /[A-F]/ }, { projection: { walletAddress: 1 } })
+      .toArray();
+
+    let lowercased = 0;
+    const conflicts = [];
+    for (const user of users) {
+      try {
+        await User.collection.updateOne(
+          { _id: user._id },
+          { $set: { walletAddress: user.walletAddress.toLowerCase() } }
+        );
+        lowercased += 1;
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        // Another account already has this address in another case: staff must merge them
+        conflicts.push(user._id);
+      }
+    }
+
+    if (conflicts.length > 0) {
+      console.warn(`⚠️  ${conflicts.length} users share a wallet address with another account, left as is: ${conflicts.join(', ')}`);
+    }
+
+    console.log(`🗄️  ${lowercased} wallet addresses lowercased`);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const authNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop expired nonces on its own
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthNonce', authNonceSchema);
\ No newline at end of file
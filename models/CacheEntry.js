@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const cacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  negative: {
+    type: Boolean, // Cached "not found" result
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop expired entries on its own
+cacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CacheEntry', cacheEntrySchema);
\ No newline at end of file
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const chainCursorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  contractAddress: {
+    type: String,
+    required: true
+  },
+  lastProcessedBlock: {
+    type: Number,
+    required: true
+  },
+  // Recently processed blocks, used to find the fork point after a reorg
+  checkpoints: [{
+    _id: false,
+    blockNumber: Number,
+    blockHash: String
+  }]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ChainCursor', chainCursorSchema);
\ No newline at end of file
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const claimTicketSchema = new mongoose.Schema({
+  participant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Participant',
+    required: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['ISSUED', 'REVOKED', 'EXPIRED', 'USED'],
+    default: 'ISSUED'
+  },
+  signature: {
+    type: String,
+    required: true
+  },
+  signatureMode: {
+    type: String,
+    enum: ['legacy', 'eip712'],
+    required: true
+  },
+  nonce: {
+    type: String, // uint256 as string, EIP-712 tickets only
+    default: null
+  },
+  deadline: {
+    type: Date, // EIP-712 tickets only; legacy signatures never expire
+    default: null
+  },
+  contractTaskId: {
+    type: Number,
+    required: true
+  },
+  developerAddress: {
+    type: String,
+    required: true
+  },
+  rewardAmount: {
+    type: String, // Store as string to handle BigInt
+    required: true
+  },
+  rewardToken: {
+    type: String,
+    default: null
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokeReason: {
+    type: String,
+    default: null
+  },
+  revocationTransactionHash: {
+    type: String,
+    default: null
+  },
+  revocationError: {
+    type: String,
+    default: null
+  },
+  expiredAt: {
+    type: Date,
+    default: null
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  transactionHash: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// At most one live ticket per participant
+claimTicketSchema.index(
+  { participant: 1 },
+  { unique: true, partialFilterExpression: { status: 'ISSUED' } }
+);
+claimTicketSchema.index({ participant: 1, issuedAt: -1 });
+claimTicketSchema.index({ status: 1, deadline: 1 });
+
+module.exports = mongoose.model('ClaimTicket', claimTicketSchema);
\ No newline at end of file
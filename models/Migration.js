@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One document per migration in migrations/, see services/migrationService.js
+const migrationSchema = new mongoose.Schema({
+  version: {
+    type: String, // Migration file name without .js, e.g. "001-participant-collection"
+    required: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['RUNNING', 'APPLIED', 'FAILED'],
+    default: 'RUNNING'
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  appliedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Migration', migrationSchema);
\ No newline at end of file
@@ -13,9 +13,33 @@ const participantSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['PENDING', 'VERIFIED', 'CLAIMED', 'REJECTED'],
+    enum: ['WAITLISTED', 'PENDING', 'VERIFIED', 'CLAIMED', 'REJECTED', 'EXPIRED', 'WITHDRAWN'],
     default: 'PENDING'
   },
+  // Waitlist bookkeeping (see services/participantSlotService.js)
+  waitlistedAt: {
+    type: Date,
+    default: null
+  },
+  promotedAt: {
+    type: Date,
+    default: null
+  },
+  slotReleasedAt: {
+    type: Date, // Set once a rejected or withdrawn participant's slot went back to the task
+    default: null
+  },
+  // The user left the task; rejoining reuses this document after a cooldown
+  withdrawnAt: {
+    type: Date,
+    default: null
+  },
+  // Every withdrawal is kept, rejoins included, so repeated join/leave cycles stay visible
+  withdrawals: [{
+    _id: false,
+    withdrawnAt: Date,
+    fromStatus: String
+  }],
   proofSubmitted: {
     type: Boolean,
     default: false
@@ -30,14 +54,118 @@ const participantSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Last retention re-check (see services/retentionService.js)
+  retentionCheckedAt: {
+    type: Date,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId, // Creator or staff member who manually verified/rejected
+    ref: 'User',
+    default: null
+  },
+  // Per-step results for COMPOSITE tasks, in the same order as task.steps
+  stepResults: [{
+    step: {
+      type: mongoose.Schema.Types.ObjectId, // _id of the task step
+      required: true
+    },
+    taskType: String,
+    status: {
+      type: String,
+      enum: ['PENDING', 'VERIFIED', 'NOT_VERIFIED', 'ERROR'],
+      default: 'PENDING'
+    },
+    lastCheckedAt: {
+      type: Date,
+      default: null
+    },
+    verifiedAt: {
+      type: Date,
+      default: null
+    },
+    error: {
+      type: String,
+      default: null
+    }
+  }],
+  // Background verification progress (see services/verificationQueueService.js)
+  verification: {
+    state: {
+      type: String,
+      enum: ['NONE', 'QUEUED', 'RUNNING', 'RETRYING', 'VERIFIED', 'NOT_VERIFIED', 'FAILED', 'MANUAL_REVIEW'],
+      default: 'NONE'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: {
+      type: String,
+      default: null
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VerificationJob',
+      default: null
+    }
+  },
+  // Sybil risk score (see services/riskScoringService.js), refreshed on join and proof submission
+  risk: {
+    score: {
+      type: Number, // 0 (looks human) to 100 (looks like a bot), null when no signal was available
+      default: null
+    },
+    signals: [{
+      _id: false,
+      name: String,
+      weight: Number,
+      risk: Number,
+      detail: mongoose.Schema.Types.Mixed
+    }],
+    scoredAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Set when the score is over the task's maxRiskScore: only the creator or staff can verify
+  requiresManualReview: {
+    type: Boolean,
+    default: false
+  },
   rewardAmount: {
     type: String, // Store as string to handle BigInt
     default: '0'
   },
+  rewardToken: {
+    type: String, // ERC-20 token address, null for native ETH rewards
+    default: null
+  },
   claimSignature: {
     type: String,
     default: null
   },
+  claimSignatureMode: {
+    type: String,
+    enum: ['legacy', 'eip712', null],
+    default: null
+  },
+  claimNonce: {
+    type: String, // uint256 as string, EIP-712 claims only
+    default: null
+  },
+  claimDeadline: {
+    type: Date, // EIP-712 claims only
+    default: null
+  },
   claimedAt: {
     type: Date,
     default: null
@@ -45,6 +173,10 @@ const participantSchema = new mongoose.Schema({
   transactionHash: {
     type: String,
     default: null
+  },
+  claimBlockNumber: {
+    type: Number,
+    default: null
   }
 }, {
   timestamps: true
@@ -53,4 +185,27 @@ const participantSchema = new mongoose.Schema({
 // Ensure one participation per user per task
 participantSchema.index({ user: 1, task: 1 }, { unique: true });
 
+// Waitlist order
+participantSchema.index({ task: 1, status: 1, waitlistedAt: 1 });
+
+// Participant counts by status for each of taskIds: Map of task id -> { PENDING: 2, ... }
+participantSchema.statics.countByStatus = async function(taskIds) {
+  const rows = await this.aggregate([
+    { $match: { task: { $in: taskIds } } },
+    { $group: { _id: { task: '$task', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const counts = new Map(taskIds.map(taskId => [taskId.toString(), {}]));
+  for (const row of rows) {
+    counts.get(row._id.task.toString())[row._id.status] = row.count;
+  }
+  return counts;
+};
+
+// A claim transaction can only ever be credited to one participant
+participantSchema.index(
+  { transactionHash: 1 },
+  { unique: true, partialFilterExpression: { transactionHash: { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('Participant', participantSchema);
\ No newline at end of file
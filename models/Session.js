@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One login. The refresh token rotates on every use; only hashes are stored.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hashes of refresh tokens already rotated out; presenting one again means the token leaked
+  previousTokenHashes: [{
+    type: String
+  }],
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'REVOKED'],
+    default: 'ACTIVE'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'refresh_token_reuse', null],
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, status: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+
+// Let MongoDB drop sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
@@ -1,5 +1,23 @@
 const mongoose = require('mongoose');
 
+// Single actions a participant can be asked to perform
+const ACTION_TYPES = ['FOLLOW_USER', 'LIKE_CAST', 'RECAST_CAST', 'JOIN_CHANNEL', 'REPLY_TO_CAST', 'QUOTE_CAST', 'CAST_WITH_MENTION'];
+
+// What an action targets; shared by single-action tasks and composite task steps
+const targetDataFields = {
+  userToFollow: String,      // Farcaster username to follow
+  userToFollowFid: Number,   // Resolved FID of userToFollow
+  castHashToLike: String,    // Cast hash to like
+  castHashToRecast: String,  // Cast hash to recast
+  channelToJoin: String,     // Channel ID to join
+  castHashToReply: String,   // Cast hash to reply to
+  castHashToQuote: String,   // Cast hash to quote-cast
+  mentionUsername: String,   // CAST_WITH_MENTION: username the cast must mention
+  mentionFid: Number,        // Resolved FID of mentionUsername
+  castKeyword: String,       // CAST_WITH_MENTION: text the cast must contain
+  castUrl: String            // CAST_WITH_MENTION: URL the cast must link
+};
+
 const taskSchema = new mongoose.Schema({
   creator: {
     type: mongoose.Schema.Types.ObjectId,
@@ -19,20 +37,43 @@ const taskSchema = new mongoose.Schema({
   },
   taskType: {
     type: String,
-    enum: ['FOLLOW_USER', 'LIKE_CAST', 'RECAST_CAST', 'JOIN_CHANNEL'],
+    enum: [...ACTION_TYPES, 'COMPOSITE'],
     required: true
   },
-  targetData: {
-    userToFollow: String,      // Farcaster username to follow
-    castHashToLike: String,    // Cast hash to like
-    castHashToRecast: String,  // Cast hash to recast
-    channelToJoin: String      // Channel ID to join
-  },
+  targetData: targetDataFields,
+  // COMPOSITE tasks only: every step must pass for the participant to be VERIFIED
+  steps: [{
+    taskType: {
+      type: String,
+      enum: ACTION_TYPES,
+      required: true
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    targetData: targetDataFields
+  }],
   rewardPerParticipant: {
     type: String, // Store as string to handle BigInt (in wei)
     required: true,
     default: '1000000000000000' // 0.001 ETH in wei
   },
+  rewardToken: {
+    address: {
+      type: String, // ERC-20 token address, null for native ETH rewards
+      default: null
+    },
+    symbol: {
+      type: String,
+      default: 'ETH'
+    },
+    decimals: {
+      type: Number,
+      default: 18
+    }
+  },
   maxParticipants: {
     type: Number,
     required: true,
@@ -53,13 +94,86 @@ const taskSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['DRAFT', 'ACTIVE', 'COMPLETED', 'CANCELLED'],
+    enum: ['DRAFT', 'PENDING_FUNDING', 'ACTIVE', 'PAUSED', 'COMPLETED', 'CANCELLING', 'CANCELLED'],
     default: 'DRAFT'
   },
+  // Set while staff have paused an ACTIVE task: no joins or claims until resumed
+  pause: {
+    pausedAt: Date,
+    pausedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String
+  },
   expiresAt: {
     type: Date,
     required: true
   },
+  // Set by the lifecycle scheduler (see services/taskLifecycleService.js)
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  completionReason: {
+    type: String,
+    enum: ['EXPIRED', 'FILLED', null],
+    default: null
+  },
+  participantsExpiredAt: {
+    type: Date, // End of the claim grace period (or cancellation): unclaimed participants were expired
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Return of the unclaimed on-chain funds to the creator
+  refund: {
+    status: {
+      type: String,
+      enum: ['NONE', 'PENDING', 'SENT', 'CONFIRMED', 'FAILED'],
+      default: 'NONE'
+    },
+    reason: {
+      type: String, // LEFTOVER after completion (withdrawRemainingFunds), CANCELLATION (cancelTask)
+      enum: ['LEFTOVER', 'CANCELLATION', null],
+      default: null
+    },
+    transactionHash: {
+      type: String,
+      default: null
+    },
+    amount: {
+      type: String, // Wei or token base units, as reported by FundsWithdrawn; null if confirmed without the transaction
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: {
+      type: String,
+      default: null
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: null
+    },
+    sentAt: {
+      type: Date,
+      default: null
+    },
+    confirmedAt: {
+      type: Date,
+      default: null
+    }
+  },
   tags: [{
     type: String,
     trim: true
@@ -72,33 +186,69 @@ const taskSchema = new mongoose.Schema({
     mustBeVerified: {
       type: Boolean,
       default: false
+    },
+    maxRiskScore: {
+      type: Number, // Participants scoring above this go to manual review, null disables
+      min: 0,
+      max: 100,
+      default: null
     }
   },
-  participants: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
+  // Users joining a full task queue up and are promoted when a slot frees up
+  waitlist: {
+    enabled: {
+      type: Boolean,
+      default: false
     },
-    joinedAt: {
-      type: Date,
-      default: Date.now
+    maxSize: {
+      type: Number, // null for no limit
+      min: 1,
+      default: null
     },
-    status: {
-      type: String,
-      enum: ['PENDING', 'VERIFIED', 'CLAIMED', 'REJECTED'],
-      default: 'PENDING'
+    // WAITLISTED participants, only changed through participantSlotService like currentParticipants
+    count: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Actions must stay in place for this long after verification, or the participant loses it
+  retention: {
+    windowHours: {
+      type: Number, // 0 disables retention checks
+      min: 0,
+      max: 720,
+      default: 0
     },
-    verificationData: {
-      proofUrl: String,
-      verifiedAt: Date
+    onFailure: {
+      type: String, // Where a participant who undid the action goes
+      enum: ['PENDING', 'REJECTED'],
+      default: 'PENDING'
     }
-  }],
+  },
   transactionHash: {
     type: String,
     default: null
+  },
+  fundingAddress: {
+    type: String, // Creator wallet expected to emit TaskCreated (lowercased)
+    default: null
+  },
+  fundedAt: {
+    type: Date,
+    default: null
+  },
+  creationBlockNumber: {
+    type: Number,
+    default: null
   }
 }, {
   timestamps: true
 });
 
+taskSchema.index({ contractTaskId: 1 }, { unique: true, partialFilterExpression: { contractTaskId: { $type: 'number' } } });
+taskSchema.index({ status: 1, fundingAddress: 1 });
+taskSchema.index({ status: 1, taskType: 1 });
+taskSchema.index({ status: 1, expiresAt: 1 });
+taskSchema.index({ 'refund.status': 1, 'refund.nextAttemptAt': 1 });
+
 module.exports = mongoose.model('Task', taskSchema);
\ No newline at end of file
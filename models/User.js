@@ -13,21 +13,23 @@ const userSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Stored lowercased so lookups are exact matches on the unique index
   walletAddress: {
     type: String,
     required: true,
-    unique: true
+    unique: true,
+    lowercase: true
   },
+  // Email/password are optional: wallet sign-in (SIWE / SIWF) accounts have neither
   email: {
     type: String,
-    required: true,
     unique: true,
+    sparse: true,
     trim: true,
     lowercase: true
   },
   password: {
     type: String,
-    required: true,
     minlength: 6
   },
   profileImage: {
@@ -38,10 +40,38 @@ const userSchema = new mongoose.Schema({
     type: String,
     maxlength: 500
   },
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user'
+  },
+  // Banned users can't join tasks or claim rewards
+  isBanned: {
+    type: Boolean,
+    default: false
+  },
+  ban: {
+    bannedAt: Date,
+    bannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String
+  },
+  // Set once the user has proven they control walletAddress and that it belongs to their FID
   isVerified: {
     type: Boolean,
     default: false
   },
+  verificationMethod: {
+    type: String,
+    enum: ['custody', 'verified_address', null], // How walletAddress is tied to the FID
+    default: null
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
   totalTasksCreated: {
     type: Number,
     default: 0
@@ -77,6 +107,7 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const verificationJobSchema = new mongoose.Schema({
+  participant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Participant',
+    required: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // COMPLETED means the check ran (verified or not); DEAD means it kept erroring
+  status: {
+    type: String,
+    enum: ['QUEUED', 'RUNNING', 'COMPLETED', 'DEAD'],
+    default: 'QUEUED'
+  },
+  reason: {
+    type: String, // what enqueued the job, e.g. submit-proof, webhook, retry
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  verified: {
+    type: Boolean,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  attemptErrors: [{
+    attempt: Number,
+    message: String,
+    at: Date
+  }],
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  deadAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Worker polling
+verificationJobSchema.index({ status: 1, runAt: 1 });
+verificationJobSchema.index({ participant: 1, createdAt: -1 });
+
+// At most one queued job per participant; enqueueing again reuses it
+verificationJobSchema.index(
+  { participant: 1 },
+  { unique: true, partialFilterExpression: { status: 'QUEUED' } }
+);
+
+module.exports = mongoose.model('VerificationJob', verificationJobSchema);
\ No newline at end of file
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Webhook deliveries already handled, kept long enough to turn away replays
+const webhookDeliverySchema = new mongoose.Schema({
+  deliveryId: {
+    type: String, // SHA-256 of the signed raw body
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop old deliveries on its own; by then the timestamp check rejects them
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
\ No newline at end of file
@@ -0,0 +1,329 @@
+// routes/admin.js
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Participant = require('../models/Participant');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const contractService = require('../services/contractService');
+const sponsoredGasService = require('../services/sponsoredGasService');
+const snapchainService = require('../services/snapchainService');
+const claimTicketService = require('../services/claimTicketService');
+const verificationQueueService = require('../services/verificationQueueService');
+const taskLifecycleService = require('../services/taskLifecycleService');
+const participantSlotService = require('../services/participantSlotService');
+
+const router = express.Router();
+
+// Everything here is for platform staff
+router.use(auth, authorize('admin', 'moderator'));
+
+// List all tasks
+router.get('/tasks', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, taskType, creator, search } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (taskType) query.taskType = taskType;
+    if (creator) query.creator = creator;
+    if (search) {
+      query.title = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+
+    const tasks = await Task.find(query)
+      .populate('creator', 'warpcastUsername walletAddress fid isBanned')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Task.countDocuments(query);
+
+    res.json({
+      tasks,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List all participants
+router.get('/participants', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, task, user, verificationState, manualReview } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (task) query.task = task;
+    if (user) query.user = user;
+    if (verificationState) query['verification.state'] = verificationState;
+    if (manualReview !== undefined) query.requiresManualReview = manualReview === 'true';
+
+    const participants = await Participant.find(query)
+      .populate('user', 'warpcastUsername walletAddress fid isBanned')
+      .populate('task', 'title taskType status creator')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Participant.countDocuments(query);
+
+    res.json({
+      participants,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pause an ACTIVE task: blocks new joins and claims
+router.post('/tasks/:id/pause', [
+  body('reason').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = await Task.findOneAndUpdate(
+      { _id: req.params.id, status: 'ACTIVE' },
+      {
+        $set: {
+          status: 'PAUSED',
+          pause: { pausedAt: new Date(), pausedBy: req.user.userId, reason: req.body.reason || null }
+        }
+      },
+      { new: true }
+    );
+
+    if (!task) {
+      return res.status(400).json({ error: 'Only ACTIVE tasks can be paused' });
+    }
+
+    console.log(`⏸️  Task ${task._id} paused by ${req.user.userId}`);
+
+    res.json({ message: 'Task paused', task });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resume a PAUSED task
+router.post('/tasks/:id/resume', async (req, res) => {
+  try {
+    const task = await Task.findOneAndUpdate(
+      { _id: req.params.id, status: 'PAUSED' },
+      { $set: { status: 'ACTIVE' }, $unset: { pause: 1 } },
+      { new: true }
+    );
+
+    if (!task) {
+      return res.status(400).json({ error: 'Only PAUSED tasks can be resumed' });
+    }
+
+    console.log(`▶️  Task ${task._id} resumed by ${req.user.userId}`);
+
+    res.json({ message: 'Task resumed', task });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retry a leftover-funds refund that ran out of attempts
+router.post('/tasks/:id/refund/retry', async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const retriedTask = await taskLifecycleService.retryRefund(task);
+    if (!retriedTask) {
+      return res.status(400).json({ error: 'Only failed refunds can be retried' });
+    }
+
+    console.log(`💸 Refund for task ${task._id} requeued by ${req.user.userId}`);
+
+    res.status(202).json({ message: 'Refund requeued', refund: retriedTask.refund });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Ban a user: no more joins or claims, and outstanding claim tickets are revoked
+router.post('/users/:id/ban', [
+  body('reason').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.params.id === req.user.userId) {
+      return res.status(400).json({ error: 'Cannot ban yourself' });
+    }
+
+    const target = await User.findById(req.params.id).select('role');
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Moderators can't ban other staff
+    if (target.role !== 'user' && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can ban staff members' });
+    }
+
+    const reason = req.body.reason || null;
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      {
+        $set: {
+          isBanned: true,
+          ban: { bannedAt: new Date(), bannedBy: req.user.userId, reason }
+        }
+      },
+      { new: true }
+    ).select('-password');
+
+    const verifiedParticipants = await Participant.find({ user: user._id, status: 'VERIFIED' }).select('_id');
+    let revokedTickets = 0;
+    for (const participant of verifiedParticipants) {
+      const ticket = await claimTicketService.revokeLiveTicket(participant._id, {
+        revokedBy: req.user.userId,
+        reason: reason || 'User banned'
+      });
+      if (ticket) {
+        revokedTickets += 1;
+      }
+    }
+
+    console.log(`🚫 User ${user.warpcastUsername} banned by ${req.user.userId}`);
+
+    res.json({ message: 'User banned', user, revokedTickets });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Lift a ban
+router.post('/users/:id/unban', async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, isBanned: true },
+      { $set: { isBanned: false }, $unset: { ban: 1 } },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(400).json({ error: 'User is not banned' });
+    }
+
+    console.log(`✅ User ${user.warpcastUsername} unbanned by ${req.user.userId}`);
+
+    res.json({ message: 'User unbanned', user });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Force-reject a participant in any state short of CLAIMED
+router.post('/participants/:id/reject', [
+  body('reason').notEmpty().withMessage('Reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reason } = req.body;
+    const rejection = { status: 'REJECTED', verificationNotes: reason, reviewedBy: req.user.userId };
+
+    // Read back the previous status: it decides whether a slot or a waitlist position is given back
+    const participant = await Participant.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['WAITLISTED', 'PENDING', 'VERIFIED'] } },
+      { $set: rejection }
+    );
+
+    if (!participant) {
+      return res.status(400).json({ error: 'Only WAITLISTED, PENDING or VERIFIED participants can be rejected' });
+    }
+
+    const wasWaitlisted = participant.status === 'WAITLISTED';
+    Object.assign(participant, rejection);
+
+    let revokedTicket = null;
+    let promotedParticipant = null;
+    if (wasWaitlisted) {
+      await participantSlotService.unreserveWaitlistPosition(participant.task);
+    } else {
+      revokedTicket = await claimTicketService.revokeLiveTicket(participant._id, {
+        revokedBy: req.user.userId,
+        reason
+      });
+
+      promotedParticipant = await participantSlotService.releaseSlot(participant);
+    }
+
+    res.json({
+      message: 'Participant rejected',
+      participant,
+      revokedTicket,
+      promotedParticipant
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Backend wallet, network, paymaster, cache and queue status
+router.get('/status', async (req, res) => {
+  try {
+    let network = null;
+    let networkError = null;
+    try {
+      network = await contractService.getNetworkInfo();
+    } catch (error) {
+      networkError = error.message;
+    }
+
+    // A malformed PAYMASTER_URL shouldn't take the whole status page down
+    let paymasterHost = null;
+    let paymasterError = null;
+    if (sponsoredGasService.paymasterUrl) {
+      try {
+        paymasterHost = new URL(sponsoredGasService.paymasterUrl).host;
+      } catch (error) {
+        paymasterError = 'PAYMASTER_URL is not a valid URL';
+      }
+    }
+
+    res.json({
+      network,
+      networkError,
+      paymaster: {
+        enabled: sponsoredGasService.enabled,
+        configured: Boolean(sponsoredGasService.paymasterUrl),
+        host: paymasterHost,
+        error: paymasterError
+      },
+      snapchainCache: snapchainService.getCacheStats(),
+      verificationQueue: await verificationQueueService.getQueueStats()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
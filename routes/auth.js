@@ -1,19 +1,22 @@
 // routes/auth.js
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
 const snapchainService = require('../services/snapchainService');
+const signInService = require('../services/signInService');
+const sessionService = require('../services/sessionService');
 
 const router = express.Router();
 
 // Register
 router.post('/register', [
   body('warpcastUsername').notEmpty().withMessage('Warpcast username is required'),
-  body('walletAddress').isEthereumAddress().withMessage('Valid wallet address is required'),
+  body('walletAddress').isEthereumAddress().withMessage('Valid wallet address is required').toLowerCase(),
   body('email').isEmail().withMessage('Valid email is required'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('message').isString().notEmpty().withMessage('Signed sign-in message is required (see GET /api/auth/nonce)'),
+  body('signature').matches(/^0x[0-9a-fA-F]+$/).withMessage('Valid signature is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -21,7 +24,7 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { warpcastUsername, walletAddress, email, password, profileImage, bio } = req.body;
+    const { warpcastUsername, walletAddress, email, password, profileImage, bio, message, signature } = req.body;
 
     // Get FID from Snapchain API
     const farcasterUser = await snapchainService.getUserByUsername(warpcastUsername);
@@ -38,6 +41,22 @@ router.post('/register', [
       return res.status(400).json({ error: 'User already exists' });
     }
 
+    // The wallet must sign a message over one of our nonces...
+    const proof = await signInService.verifySiwe(message, signature, { domain: signInService.domain });
+    if (!proof.valid) {
+      return res.status(401).json({ error: proof.error });
+    }
+
+    if (proof.address.toLowerCase() !== walletAddress) {
+      return res.status(401).json({ error: 'Message was not signed by walletAddress' });
+    }
+
+    // ...and belong to the Farcaster account being registered
+    const verificationMethod = await snapchainService.getAddressLink(farcasterUser.fid, walletAddress);
+    if (!verificationMethod) {
+      return res.status(403).json({ error: 'Wallet is not the custody or a verified address of this Farcaster account' });
+    }
+
     // Create new user
     const user = new User({
       warpcastUsername,
@@ -46,27 +65,27 @@ router.post('/register', [
       email,
       password,
       profileImage: profileImage || farcasterUser.pfp_url,
-      bio: bio || farcasterUser.profile?.bio?.text
+      bio: bio || farcasterUser.profile?.bio?.text,
+      isVerified: true,
+      verificationMethod,
+      verifiedAt: new Date()
     });
 
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    // Start a session: short-lived access token plus rotating refresh token
+    const tokens = await sessionService.createSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         warpcastUsername: user.warpcastUsername,
         fid: user.fid,
         walletAddress: user.walletAddress,
-        email: user.email
+        email: user.email,
+        isVerified: user.isVerified
       }
     });
   } catch (error) {
@@ -99,16 +118,125 @@ router.post('/login', [
       return res.status(400).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    // Start a session: short-lived access token plus rotating refresh token
+    const tokens = await sessionService.createSession(user, req);
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
+      user: {
+        id: user._id,
+        warpcastUsername: user.warpcastUsername,
+        fid: user.fid,
+        walletAddress: user.walletAddress,
+        email: user.email
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Issue a single-use nonce for a SIWE / SIWF message
+router.get('/nonce', async (req, res) => {
+  try {
+    const authNonce = await signInService.issueNonce();
+
+    res.json({
+      nonce: authNonce.nonce,
+      expiresAt: authNonce.expiresAt,
+      domain: signInService.domain
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign-In With Ethereum: the wallet must be linked to an account, or be the custody address of a FID
+router.post('/siwe', [
+  body('message').isString().notEmpty().withMessage('Sign-in message is required'),
+  body('signature').matches(/^0x[0-9a-fA-F]+$/).withMessage('Valid signature is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { message, signature } = req.body;
+
+    const result = await signInService.verifySiwe(message, signature, { domain: signInService.domain });
+    if (!result.valid) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    let user = await User.findOne({ walletAddress: result.address.toLowerCase() });
+    let created = false;
+
+    if (!user) {
+      const fid = await signInService.getFidForAddress(result.address);
+      if (!fid) {
+        return res.status(404).json({ error: 'No account or Farcaster ID found for this wallet' });
+      }
+
+      const signIn = await signInService.findOrCreateUser({ fid, address: result.address });
+      if (signIn.error) {
+        return res.status(400).json({ error: signIn.error });
+      }
+      ({ user, created } = signIn);
+    }
+
+    const tokens = await sessionService.createSession(user, req);
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'User registered successfully' : 'Login successful',
+      ...tokens,
+      user: {
+        id: user._id,
+        warpcastUsername: user.warpcastUsername,
+        fid: user.fid,
+        walletAddress: user.walletAddress,
+        email: user.email
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Wallet or username already linked to another account' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign-In With Farcaster: a SIWE message on OP Mainnet signed by the FID's custody address
+router.post('/siwf', [
+  body('message').isString().notEmpty().withMessage('Sign-in message is required'),
+  body('signature').matches(/^0x[0-9a-fA-F]+$/).withMessage('Valid signature is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { message, signature } = req.body;
+
+    const result = await signInService.verifySiwf(message, signature, { domain: signInService.domain });
+    if (!result.valid) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    const signIn = await signInService.findOrCreateUser({ fid: result.fid, address: result.address });
+    if (signIn.error) {
+      return res.status(400).json({ error: signIn.error });
+    }
+
+    const { user, created } = signIn;
+
+    const tokens = await sessionService.createSession(user, req);
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'User registered successfully' : 'Login successful',
+      ...tokens,
       user: {
         id: user._id,
         warpcastUsername: user.warpcastUsername,
@@ -117,6 +245,52 @@ router.post('/login', [
         email: user.email
       }
     });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Wallet or username already linked to another account' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await sessionService.refresh(req.body.refreshToken);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// End the current session
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.sessionId, 'logout');
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// End every session of the current user
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user.userId);
+
+    res.json({ message: 'Logged out of all sessions', revoked });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
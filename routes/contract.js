@@ -18,10 +18,13 @@ router.get('/task/:taskId', async (req, res) => {
 
 // Verify claim signature
 router.post('/verify-signature', [
-  body('taskId').isNumeric().withMessage('Valid task ID is required'),
+  body('taskId').isInt({ min: 0 }).withMessage('Valid task ID is required'),
   body('developerAddress').isEthereumAddress().withMessage('Valid developer address is required'),
-  body('rewardAmount').isNumeric().withMessage('Valid reward amount is required'),
-  body('signature').notEmpty().withMessage('Signature is required')
+  body('rewardAmount').isInt({ min: 0 }).withMessage('Valid reward amount is required'),
+  body('signature').notEmpty().withMessage('Signature is required'),
+  body('rewardToken').optional({ values: 'null' }).isEthereumAddress().withMessage('Valid reward token address is required'),
+  body('nonce').optional().isInt({ min: 0 }).withMessage('Valid nonce is required'),
+  body('deadline').optional().isInt({ min: 0 }).withMessage('Valid deadline is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -29,16 +32,36 @@ router.post('/verify-signature', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { taskId, developerAddress, rewardAmount, signature } = req.body;
+    const { taskId, developerAddress, rewardAmount, signature, rewardToken, nonce, deadline } = req.body;
+
+    // EIP-712 claims carry a nonce and deadline; anything else is a legacy signature
+    if (nonce !== undefined || deadline !== undefined) {
+      if (nonce === undefined || deadline === undefined) {
+        return res.status(400).json({ error: 'Both nonce and deadline are required for EIP-712 signatures' });
+      }
+
+      const result = await contractService.verifyTypedClaimSignature({
+        taskId,
+        developerAddress,
+        rewardAmount,
+        tokenAddress: rewardToken || null,
+        nonce,
+        deadline,
+        signature
+      });
+
+      return res.json({ mode: 'eip712', ...result });
+    }
     
     const isValid = await contractService.verifyClaimSignature(
       taskId,
       developerAddress,
       rewardAmount,
-      signature
+      signature,
+      rewardToken || null
     );
     
-    res.json({ isValid });
+    res.json({ mode: 'legacy', isValid });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -57,25 +80,4 @@ router.get('/has-claimed/:taskId/:userAddress', async (req, res) => {
   }
 });
 
-module.exports = router;
-
-// middleware/auth.js
-const jwt = require('jsonwebtoken');
-
-const auth = (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token, authorization denied' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(401).json({ error: 'Token is not valid' });
-  }
-};
-
-module.exports = auth;
+module.exports = router;
\ No newline at end of file
@@ -5,11 +5,24 @@ const Task = require('../models/Task');
 const User = require('../models/User');
 const Participant = require('../models/Participant');
 const auth = require('../middleware/auth');
+const { isStaff } = require('../middleware/authorize');
 const snapchainService = require('../services/snapchainService');
+const verificationService = require('../services/verificationService');
+const verificationQueueService = require('../services/verificationQueueService');
+const riskScoringService = require('../services/riskScoringService');
+const retentionService = require('../services/retentionService');
+const participantSlotService = require('../services/participantSlotService');
 const contractService = require('../services/contractService');
+const claimService = require('../services/claimService');
+const claimTicketService = require('../services/claimTicketService');
+const ClaimTicket = require('../models/ClaimTicket');
+const VerificationJob = require('../models/VerificationJob');
 
 const router = express.Router();
 
+// How long a user who left a task has to wait before joining it again
+const REJOIN_COOLDOWN_HOURS = parseInt(process.env.PARTICIPANT_REJOIN_COOLDOWN_HOURS || '24');
+
 // Join task
 router.post('/join/:taskId', auth, async (req, res) => {
   try {
@@ -23,10 +36,6 @@ router.post('/join/:taskId', auth, async (req, res) => {
       return res.status(400).json({ error: 'Task is not active' });
     }
 
-    if (task.currentParticipants >= task.maxParticipants) {
-      return res.status(400).json({ error: 'Task is full' });
-    }
-
     if (new Date() > task.expiresAt) {
       return res.status(400).json({ error: 'Task has expired' });
     }
@@ -37,12 +46,24 @@ router.post('/join/:taskId', auth, async (req, res) => {
       task: req.params.taskId
     });
 
-    if (existingParticipant) {
+    if (existingParticipant && existingParticipant.status !== 'WITHDRAWN') {
       return res.status(400).json({ error: 'Already joined this task' });
     }
 
+    // No cooldown when the withdrawal time wasn't recorded (older or migrated rows)
+    if (existingParticipant && existingParticipant.withdrawnAt) {
+      const rejoinAt = new Date(existingParticipant.withdrawnAt.getTime() + REJOIN_COOLDOWN_HOURS * 60 * 60 * 1000);
+      if (rejoinAt > new Date()) {
+        return res.status(429).json({ error: 'You left this task recently, try again later', rejoinAt });
+      }
+    }
+
     // Check requirements
     const user = await User.findById(req.user.userId);
+
+    if (user.isBanned) {
+      return res.status(403).json({ error: 'Account is banned' });
+    }
     
     if (task.requirements.mustBeVerified && !user.isVerified) {
       return res.status(400).json({ error: 'Must be verified to join this task' });
@@ -51,6 +72,11 @@ router.post('/join/:taskId', auth, async (req, res) => {
     // Check minimum followers requirement using Snapchain API
     if (task.requirements.minimumFollowers > 0) {
       const farcasterUser = await snapchainService.getUserByFid(user.fid);
+      if (farcasterUser && farcasterUser.follower_count === null) {
+        return res.status(501).json({
+          error: `Follower counts are not available from the ${snapchainService.provider.name} social graph provider`
+        });
+      }
       if (!farcasterUser || farcasterUser.follower_count < task.requirements.minimumFollowers) {
         return res.status(400).json({ 
           error: `Must have at least ${task.requirements.minimumFollowers} followers` 
@@ -58,22 +84,133 @@ router.post('/join/:taskId', auth, async (req, res) => {
       }
     }
 
-    // Create participant
-    const participant = new Participant({
-      user: req.user.userId,
-      task: req.params.taskId,
-      status: 'PENDING'
-    });
+    // Reserve a slot atomically, so parallel joins can't overshoot maxParticipants
+    const reserved = await participantSlotService.reserveSlot(task._id);
 
-    await participant.save();
+    if (!reserved) {
+      if (!task.waitlist.enabled) {
+        return res.status(400).json({ error: 'Task is full' });
+      }
+
+      // Reserved the same way, so parallel joins can't overshoot the waitlist's maxSize either
+      if (!await participantSlotService.reserveWaitlistPosition(task)) {
+        return res.status(400).json({ error: 'Task and its waitlist are full' });
+      }
+    }
+
+    const unreserve = () => (reserved
+      ? participantSlotService.unreserveSlot(task._id)
+      : participantSlotService.unreserveWaitlistPosition(task._id));
+
+    const fields = {
+      status: reserved ? 'PENDING' : 'WAITLISTED',
+      waitlistedAt: reserved ? null : new Date(),
+      stepResults: task.steps.map(step => ({ step: step._id, taskType: step.taskType }))
+    };
+
+    let participant;
+    try {
+      if (existingParticipant) {
+        // Rejoin: start over on the same document, keeping the withdrawal history
+        participant = await Participant.findOneAndUpdate(
+          { _id: existingParticipant._id, status: 'WITHDRAWN' },
+          {
+            $set: {
+              ...fields,
+              promotedAt: null,
+              slotReleasedAt: null,
+              withdrawnAt: null,
+              proofSubmitted: false,
+              verificationNotes: null,
+              verifiedAt: null,
+              retentionCheckedAt: null,
+              reviewedBy: null,
+              verification: { state: 'NONE', attempts: 0, lastError: null, lastAttemptAt: null, job: null }
+            },
+            $unset: { proofData: 1 }
+          },
+          { new: true }
+        );
+
+        if (!participant) {
+          await unreserve();
+          return res.status(400).json({ error: 'Already joined this task' });
+        }
+      } else {
+        participant = new Participant({
+          user: req.user.userId,
+          task: req.params.taskId,
+          ...fields
+        });
+      }
+
+      await riskScoringService.scoreParticipant(participant, user, task);
+      await participant.save();
+    } catch (error) {
+      await unreserve();
+      // Two joins by the same user raced past the check above
+      if (error.code === 11000) {
+        return res.status(400).json({ error: 'Already joined this task' });
+      }
+      throw error;
+    }
+
+    const joinedParticipant = await Participant.findById(participant._id).populate('user', 'warpcastUsername walletAddress fid');
 
-    // Update task
-    task.currentParticipants += 1;
-    await task.save();
+    if (!reserved) {
+      return res.status(202).json({
+        message: 'Task is full, you have been added to the waitlist',
+        participant: joinedParticipant,
+        waitlistPosition: await participantSlotService.getWaitlistPosition(participant)
+      });
+    }
 
     res.status(201).json({
       message: 'Successfully joined task',
-      participant: await Participant.findById(participant._id).populate('user', 'warpcastUsername walletAddress fid')
+      participant: joinedParticipant
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Leave a task before verification; the slot goes to the next waitlisted user
+router.delete('/join/:taskId', auth, async (req, res) => {
+  try {
+    const withdrawnAt = new Date();
+
+    // Returns the document as it was, so we know whether a slot was held
+    const participant = await Participant.findOneAndUpdate(
+      { user: req.user.userId, task: req.params.taskId, status: { $in: ['PENDING', 'WAITLISTED'] } },
+      { $set: { status: 'WITHDRAWN', withdrawnAt } }
+    );
+
+    if (!participant) {
+      const existingParticipant = await Participant.exists({ user: req.user.userId, task: req.params.taskId });
+      return existingParticipant
+        ? res.status(400).json({ error: 'Only pending or waitlisted participants can leave a task' })
+        : res.status(404).json({ error: 'Participant not found' });
+    }
+
+    await Participant.updateOne(
+      { _id: participant._id },
+      { $push: { withdrawals: { withdrawnAt, fromStatus: participant.status } } }
+    );
+
+    let promotedParticipant = null;
+    if (participant.status === 'PENDING') {
+      promotedParticipant = await participantSlotService.releaseSlot(participant);
+    } else {
+      await participantSlotService.unreserveWaitlistPosition(participant.task);
+    }
+
+    console.log(`👋 Participant ${participant._id} left task ${req.params.taskId}`);
+
+    res.json({
+      message: 'Left task successfully',
+      rejoinAt: new Date(withdrawnAt.getTime() + REJOIN_COOLDOWN_HOURS * 60 * 60 * 1000),
+      slotReleased: participant.status === 'PENDING',
+      promoted: Boolean(promotedParticipant)
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -99,6 +236,10 @@ router.post('/submit-proof/:taskId', auth, [
       return res.status(404).json({ error: 'Participant not found' });
     }
 
+    if (participant.status === 'WAITLISTED') {
+      return res.status(400).json({ error: 'You are on the waitlist for this task' });
+    }
+
     if (participant.status !== 'PENDING') {
       return res.status(400).json({ error: 'Cannot submit proof for this participant status' });
     }
@@ -108,84 +249,41 @@ router.post('/submit-proof/:taskId', auth, [
     // Update participant with proof
     participant.proofSubmitted = true;
     participant.proofData = proofData;
-    
-    await participant.save();
 
-    // Auto-verify based on task type
-    const verificationResult = await autoVerifyTask(participant);
-    
-    if (verificationResult.verified) {
-      participant.status = 'VERIFIED';
-      participant.verificationNotes = 'Auto-verified via Snapchain API';
+    // Rescore, the account may have changed since joining
+    const user = await User.findById(req.user.userId);
+    await riskScoringService.scoreParticipant(participant, user, participant.task);
+
+    if (participant.requiresManualReview) {
+      participant.verification.state = 'MANUAL_REVIEW';
       await participant.save();
+
+      return res.status(202).json({
+        message: 'Proof submitted successfully, awaiting manual review',
+        participant: await Participant.findById(participant._id).populate('task'),
+        verificationJob: null
+      });
     }
+    
+    await participant.save();
 
-    res.json({
-      message: 'Proof submitted successfully',
-      participant,
-      autoVerified: verificationResult.verified
+    // Auto-verification runs in the background worker, which retries provider errors
+    const job = await verificationQueueService.enqueue(participant, { reason: 'submit-proof' });
+
+    res.status(202).json({
+      message: 'Proof submitted successfully, verification queued',
+      participant: await Participant.findById(participant._id).populate('task'),
+      verificationJob: {
+        id: job._id,
+        status: job.status,
+        runAt: job.runAt
+      }
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Auto-verification function using Snapchain API
-async function autoVerifyTask(participant) {
-  try {
-    const task = participant.task;
-    const user = await User.findById(participant.user);
-    
-    let verified = false;
-    
-    switch (task.taskType) {
-      case 'FOLLOW_USER':
-        if (task.targetData.userToFollow) {
-          verified = await snapchainService.verifyUserFollowsUser(
-            user.fid,
-            task.targetData.userToFollow
-          );
-        }
-        break;
-        
-      case 'LIKE_CAST':
-        if (task.targetData.castHashToLike) {
-          verified = await snapchainService.verifyCastLike(
-            user.fid,
-            task.targetData.castHashToLike
-          );
-        }
-        break;
-        
-      case 'RECAST_CAST':
-        if (task.targetData.castHashToRecast) {
-          verified = await snapchainService.verifyCastRecast(
-            user.fid,
-            task.targetData.castHashToRecast
-          );
-        }
-        break;
-        
-      case 'JOIN_CHANNEL':
-        if (task.targetData.channelToJoin) {
-          verified = await snapchainService.verifyChannelMembership(
-            user.fid,
-            task.targetData.channelToJoin
-          );
-        }
-        break;
-        
-      default:
-        verified = false;
-    }
-    
-    return { verified };
-  } catch (error) {
-    console.error('Auto-verification error:', error);
-    return { verified: false };
-  }
-}
-
 // Request reward claim with sponsored gas support
 router.post('/claim/:taskId', auth, async (req, res) => {
   try {
@@ -198,6 +296,14 @@ router.post('/claim/:taskId', auth, async (req, res) => {
       return res.status(404).json({ error: 'Participant not found' });
     }
 
+    if (['CANCELLING', 'CANCELLED'].includes(participant.task.status)) {
+      return res.status(400).json({ error: 'Task has been cancelled' });
+    }
+
+    if (participant.status === 'EXPIRED') {
+      return res.status(400).json({ error: 'Claim period for this task has ended' });
+    }
+
     if (participant.status !== 'VERIFIED') {
       return res.status(400).json({ error: 'Task not verified yet' });
     }
@@ -209,6 +315,32 @@ router.post('/claim/:taskId', auth, async (req, res) => {
     const task = participant.task;
     const user = await User.findById(participant.user);
 
+    if (user.isBanned) {
+      return res.status(403).json({ error: 'Account is banned' });
+    }
+
+    if (task.status === 'PAUSED') {
+      return res.status(400).json({ error: 'Task is paused, claims are on hold' });
+    }
+
+    // Make sure the action wasn't undone since verification
+    if (retentionService.isWithinWindow(participant, task)) {
+      let retention;
+      try {
+        retention = await retentionService.recheck(participant);
+      } catch (error) {
+        console.error('Retention check error:', error.message);
+        return res.status(503).json({ error: 'Could not re-check the task action, please try again' });
+      }
+
+      if (!retention.retained) {
+        return res.status(400).json({
+          error: retention.participant.verificationNotes,
+          status: retention.participant.status
+        });
+      }
+    }
+
     // Check if user already claimed on blockchain
     const hasClaimed = await contractService.hasUserClaimed(
       task.contractTaskId, 
@@ -219,12 +351,17 @@ router.post('/claim/:taskId', auth, async (req, res) => {
       return res.status(400).json({ error: 'Reward already claimed on blockchain' });
     }
 
-    // Generate claim signature
-    const signature = await contractService.generateClaimSignature(
-      task.contractTaskId,
-      user.walletAddress,
-      task.rewardPerParticipant
-    );
+    // Reuse the participant's live claim ticket, or sign a new one
+    const rewardTokenAddress = task.rewardToken ? task.rewardToken.address : null;
+
+    const { ticket, reused } = await claimTicketService.issueTicket(participant, task, user);
+    const claim = {
+      signature: ticket.signature,
+      mode: ticket.signatureMode,
+      nonce: ticket.nonce,
+      deadline: ticket.deadline ? Math.floor(ticket.deadline.getTime() / 1000) : null
+    };
+    const { signature } = claim;
 
     // Try to prepare sponsored transaction
     const sponsoredGasService = require('../services/sponsoredGasService');
@@ -233,19 +370,39 @@ router.post('/claim/:taskId', auth, async (req, res) => {
       task.contractTaskId,
       task.rewardPerParticipant,
       signature,
-      user.walletAddress
+      user.walletAddress,
+      claim.mode === 'eip712' ? { nonce: claim.nonce, deadline: claim.deadline } : null
     );
 
     // Update participant
     participant.claimSignature = signature;
+    participant.claimSignatureMode = claim.mode;
+    participant.claimNonce = claim.nonce;
+    participant.claimDeadline = ticket.deadline;
     participant.rewardAmount = task.rewardPerParticipant;
+    participant.rewardToken = rewardTokenAddress;
     await participant.save();
 
     const response = {
-      message: 'Claim signature generated',
+      message: reused ? 'Existing claim signature returned' : 'Claim signature generated',
+      ticket: {
+        id: ticket._id,
+        status: ticket.status,
+        issuedAt: ticket.issuedAt,
+        expiresAt: ticket.deadline
+      },
       signature,
+      signatureMode: claim.mode,
+      claimFunction: claim.mode === 'eip712' ? 'claimRewardWithPermit' : 'claimReward',
+      nonce: claim.nonce,
+      deadline: claim.deadline,
       taskId: task.contractTaskId,
       rewardAmount: task.rewardPerParticipant,
+      rewardToken: {
+        address: rewardTokenAddress,
+        symbol: task.rewardToken ? task.rewardToken.symbol : 'ETH',
+        decimals: task.rewardToken ? task.rewardToken.decimals : 18
+      },
       contractAddress: process.env.CONTRACT_ADDRESS,
       network: {
         name: 'Base Sepolia',
@@ -255,6 +412,17 @@ router.post('/claim/:taskId', auth, async (req, res) => {
       }
     };
 
+    if (claim.mode === 'eip712') {
+      response.typedData = contractService.getTypedClaimData({
+        taskId: task.contractTaskId,
+        developerAddress: user.walletAddress,
+        rewardAmount: task.rewardPerParticipant,
+        tokenAddress: rewardTokenAddress,
+        nonce: claim.nonce,
+        deadline: claim.deadline
+      });
+    }
+
     // Add sponsored gas data if available
     if (sponsoredData.sponsored) {
       response.sponsoredGas = {
@@ -279,44 +447,116 @@ router.post('/claim/:taskId', auth, async (req, res) => {
 
 // Confirm claim (called after user claims on blockchain)
 router.post('/confirm-claim/:taskId', auth, [
-  body('transactionHash').notEmpty().withMessage('Transaction hash is required')
+  body('transactionHash').matches(/^0x[0-9a-fA-F]{64}$/).withMessage('Valid transaction hash is required')
 ], async (req, res) => {
   try {
-    const { transactionHash } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transactionHash = req.body.transactionHash.toLowerCase();
     
     const participant = await Participant.findOne({
       user: req.user.userId,
       task: req.params.taskId
-    });
+    }).populate('task');
 
     if (!participant) {
       return res.status(404).json({ error: 'Participant not found' });
     }
 
+    if (participant.status === 'CLAIMED') {
+      if (participant.transactionHash === transactionHash) {
+        return res.json({ message: 'Claim already confirmed', status: 'CONFIRMED', participant });
+      }
+      return res.status(400).json({ error: 'Reward already claimed' });
+    }
+
+    if (participant.status !== 'VERIFIED') {
+      return res.status(400).json({ error: 'Task not verified yet' });
+    }
+
+    if (!participant.claimSignature) {
+      return res.status(400).json({ error: 'No claim signature has been issued for this task' });
+    }
+
+    // Reject hashes that were already credited to (or reserved by) someone else
+    const hashInUse = await Participant.exists({
+      transactionHash,
+      _id: { $ne: participant._id }
+    });
+
+    if (hashInUse) {
+      return res.status(409).json({ error: 'Transaction hash already used' });
+    }
+
     const user = await User.findById(req.user.userId);
+    const task = participant.task;
 
-    // Update participant status
-    participant.status = 'CLAIMED';
-    participant.claimedAt = new Date();
-    participant.transactionHash = transactionHash;
-    await participant.save();
+    const result = await contractService.verifyClaimTransaction(transactionHash, {
+      taskId: task.contractTaskId,
+      developerAddress: user.walletAddress,
+      rewardAmount: participant.rewardAmount
+    });
 
-    // Update user stats
-    await User.findByIdAndUpdate(req.user.userId, {
-      $inc: { 
-        totalTasksCompleted: 1,
-        reputation: 10 
-      },
-      $set: {
-        totalRewardsEarned: (BigInt(user.totalRewardsEarned || '0') + BigInt(participant.rewardAmount)).toString()
+    if (result.status === 'PENDING') {
+      // Reserve the hash so it can't be submitted for another participant meanwhile
+      if (participant.transactionHash !== transactionHash) {
+        participant.transactionHash = transactionHash;
+        await participant.save();
+      }
+
+      return res.status(202).json({
+        message: 'Transaction not confirmed yet, retry once it is',
+        status: 'PENDING',
+        transactionHash,
+        confirmations: result.confirmations,
+        requiredConfirmations: result.requiredConfirmations
+      });
+    }
+
+    if (result.status !== 'CONFIRMED') {
+      if (participant.transactionHash === transactionHash) {
+        participant.transactionHash = null;
+        await participant.save();
       }
+
+      return res.status(400).json({
+        error: result.reason,
+        status: result.status,
+        transactionHash
+      });
+    }
+
+    const claimedParticipant = await claimService.recordClaim(participant._id, {
+      transactionHash: result.transactionHash,
+      rewardAmount: result.rewardAmount,
+      blockNumber: result.blockNumber
     });
 
+    if (!claimedParticipant) {
+      return res.json({
+        message: 'Claim already confirmed',
+        status: 'CONFIRMED',
+        participant: await Participant.findById(participant._id)
+      });
+    }
+
     res.json({
       message: 'Claim confirmed successfully',
-      participant
+      status: 'CONFIRMED',
+      participant: claimedParticipant,
+      blockchain: {
+        transactionHash: result.transactionHash,
+        blockNumber: result.blockNumber,
+        explorerUrl: result.explorerUrl
+      }
     });
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Transaction hash already used' });
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -330,7 +570,7 @@ router.get('/my-tasks', auth, async (req, res) => {
     if (status) query.status = status;
 
     const participants = await Participant.find(query)
-      .populate('task', 'title description taskType rewardPerParticipant status expiresAt')
+      .populate('task', 'title description taskType steps rewardPerParticipant rewardToken status expiresAt')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -348,7 +588,7 @@ router.get('/my-tasks', auth, async (req, res) => {
   }
 });
 
-// Get task participants (for task creators)
+// Get task participants (for task creators and staff)
 router.get('/task/:taskId', auth, async (req, res) => {
   try {
     const task = await Task.findById(req.params.taskId);
@@ -358,7 +598,7 @@ router.get('/task/:taskId', auth, async (req, res) => {
     }
 
     // Check if user is the creator
-    if (task.creator.toString() !== req.user.userId) {
+    if (task.creator.toString() !== req.user.userId && !isStaff(req.user)) {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
@@ -372,12 +612,17 @@ router.get('/task/:taskId', auth, async (req, res) => {
   }
 });
 
-// Verify participant (manual verification for task creators)
+// Verify participant (manual verification for task creators and staff)
 router.post('/verify/:participantId', auth, [
   body('approved').isBoolean().withMessage('Approved status is required'),
   body('notes').optional().isString()
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { approved, notes } = req.body;
     
     const participant = await Participant.findById(req.params.participantId).populate('task');
@@ -387,25 +632,50 @@ router.post('/verify/:participantId', auth, [
     }
 
     const task = participant.task;
+    const staff = isStaff(req.user);
 
     // Check if user is the task creator
-    if (task.creator.toString() !== req.user.userId) {
+    if (task.creator.toString() !== req.user.userId && !staff) {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    if (participant.status !== 'PENDING') {
-      return res.status(400).json({ error: 'Participant not in pending status' });
+    // Staff can also overturn a verification that hasn't been claimed yet
+    const allowedStatuses = staff ? ['PENDING', 'VERIFIED', 'REJECTED'] : ['PENDING'];
+    if (!allowedStatuses.includes(participant.status)) {
+      return res.status(400).json({ error: staff ? 'Claimed participants cannot be changed' : 'Participant not in pending status' });
+    }
+
+    // A reinstated participant needs their slot back
+    if (approved && !await participantSlotService.reclaimSlot(participant)) {
+      return res.status(400).json({ error: 'Task is full' });
+    }
+
+    // A rejected participant must not keep a usable claim signature
+    if (!approved && participant.status === 'VERIFIED') {
+      await claimTicketService.revokeLiveTicket(participant._id, {
+        revokedBy: req.user.userId,
+        reason: notes || 'Participant rejected by staff'
+      });
     }
 
     // Update participant status
     participant.status = approved ? 'VERIFIED' : 'REJECTED';
     participant.verificationNotes = notes || '';
+    participant.reviewedBy = req.user.userId;
+    participant.verifiedAt = approved ? new Date() : null;
+
+    if (participant.verification.state === 'MANUAL_REVIEW') {
+      participant.verification.state = approved ? 'VERIFIED' : 'NOT_VERIFIED';
+    }
     
     await participant.save();
 
+    const promotedParticipant = approved ? null : await participantSlotService.releaseSlot(participant);
+
     res.json({
       message: `Participant ${approved ? 'approved' : 'rejected'} successfully`,
-      participant
+      participant,
+      promotedParticipant
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -426,23 +696,196 @@ router.post('/re-verify/:participantId', auth, async (req, res) => {
     const task = participant.task;
 
     // Check if user is the task creator
-    if (task.creator.toString() !== req.user.userId) {
+    if (task.creator.toString() !== req.user.userId && !isStaff(req.user)) {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    // Re-verify using Snapchain API
-    const verificationResult = await autoVerifyTask(participant);
-    
-    if (verificationResult.verified) {
-      participant.status = 'VERIFIED';
-      participant.verificationNotes = 'Re-verified via Snapchain API';
-      await participant.save();
+    // Withdrawn, waitlisted, expired or already claimed participants can't be re-verified
+    if (!['PENDING', 'REJECTED', 'VERIFIED'].includes(participant.status)) {
+      return res.status(400).json({ error: `Cannot re-verify a ${participant.status.toLowerCase()} participant` });
+    }
+
+    // A rejected participant whose slot went to someone else needs it back first
+    const hadReleasedSlot = Boolean(participant.slotReleasedAt);
+    if (!await participantSlotService.reclaimSlot(participant)) {
+      return res.status(400).json({ error: 'Task is full' });
+    }
+    if (hadReleasedSlot) {
+      await Participant.updateOne({ _id: participant._id }, { $set: { slotReleasedAt: null } });
+    }
+
+    // Re-verify using Snapchain API. Asked for by the creator or staff, so it counts as the manual review.
+    const verificationResult = await verificationService.verifyParticipant(participant, {
+      note: 'Re-verified via Snapchain API',
+      fromStatuses: ['PENDING', 'REJECTED', 'VERIFIED'],
+      reviewed: true
+    });
+
+    // Not moved to VERIFIED (still failing, or their status changed meanwhile): the slot goes back
+    if (hadReleasedSlot && !verificationResult.transitioned) {
+      await participantSlotService.releaseSlot(participant);
     }
 
     res.json({
       message: 'Re-verification completed',
-      verified: verificationResult.verified,
-      participant
+      verified: verificationResult.transitioned,
+      participant: verificationResult.participant
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Verification state and job history (participant, task creator or staff)
+router.get('/verification/:participantId', auth, async (req, res) => {
+  try {
+    const participant = await Participant.findById(req.params.participantId).populate('task');
+
+    if (!participant) {
+      return res.status(404).json({ error: 'Participant not found' });
+    }
+
+    const isParticipant = participant.user.toString() === req.user.userId;
+    const isCreator = participant.task.creator.toString() === req.user.userId;
+
+    if (!isParticipant && !isCreator && !isStaff(req.user)) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const jobs = await VerificationJob.find({ participant: participant._id })
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      participantId: participant._id,
+      status: participant.status,
+      verification: participant.verification,
+      jobs
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Requeue a dead-lettered verification job (task creators and staff)
+router.post('/verification-jobs/:jobId/retry', auth, async (req, res) => {
+  try {
+    const job = await VerificationJob.findById(req.params.jobId).populate('task');
+
+    if (!job) {
+      return res.status(404).json({ error: 'Verification job not found' });
+    }
+
+    // Check if user is the task creator
+    if (job.task.creator.toString() !== req.user.userId && !isStaff(req.user)) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    if (job.status !== 'DEAD') {
+      return res.status(400).json({ error: 'Only dead verification jobs can be retried' });
+    }
+
+    const retriedJob = await verificationQueueService.retryDeadJob(job);
+
+    res.status(202).json({
+      message: 'Verification job requeued',
+      job: retriedJob
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Claim ticket history (participant, task creator or staff)
+router.get('/claim-tickets/:participantId', auth, async (req, res) => {
+  try {
+    const participant = await Participant.findById(req.params.participantId).populate('task');
+
+    if (!participant) {
+      return res.status(404).json({ error: 'Participant not found' });
+    }
+
+    const isParticipant = participant.user.toString() === req.user.userId;
+    const isCreator = participant.task.creator.toString() === req.user.userId;
+
+    if (!isParticipant && !isCreator && !isStaff(req.user)) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    await claimTicketService.expireStaleTickets({ participant: participant._id });
+
+    const tickets = await ClaimTicket.find({ participant: participant._id })
+      .populate('revokedBy', 'warpcastUsername')
+      .sort({ issuedAt: -1 });
+
+    res.json(tickets);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke a claim ticket before it is used (task creators and staff). The participant is
+// rejected too: otherwise /claim would just issue them a new ticket, and legacy
+// signatures come out identical every time.
+router.post('/claim-tickets/:ticketId/revoke', auth, [
+  body('reason').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reason } = req.body;
+
+    const ticket = await ClaimTicket.findById(req.params.ticketId).populate('task');
+
+    if (!ticket) {
+      return res.status(404).json({ error: 'Claim ticket not found' });
+    }
+
+    // Check if user is the task creator
+    if (ticket.task.creator.toString() !== req.user.userId && !isStaff(req.user)) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    await claimTicketService.expireStaleTickets({ _id: ticket._id });
+
+    const revokedTicket = await claimTicketService.revokeTicket(ticket, {
+      revokedBy: req.user.userId,
+      reason
+    });
+
+    if (!revokedTicket) {
+      return res.status(400).json({ error: 'Only issued tickets can be revoked' });
+    }
+
+    const rejectedParticipant = await Participant.findOneAndUpdate(
+      { _id: revokedTicket.participant, status: 'VERIFIED', claimedAt: null },
+      {
+        $set: {
+          status: 'REJECTED',
+          verificationNotes: reason || 'Claim ticket revoked by task creator',
+          reviewedBy: req.user.userId,
+          verifiedAt: null
+        }
+      },
+      { new: true }
+    );
+
+    const promotedParticipant = rejectedParticipant
+      ? await participantSlotService.releaseSlot(rejectedParticipant)
+      : null;
+
+    res.json({
+      message: 'Claim ticket revoked',
+      ticket: revokedTicket,
+      participant: rejectedParticipant,
+      promotedParticipant,
+      revokedOnChain: Boolean(revokedTicket.revocationTransactionHash),
+      warning: revokedTicket.signatureMode === 'legacy'
+        ? 'Legacy signatures cannot be cancelled on-chain and remain usable by the contract'
+        : revokedTicket.revocationError
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
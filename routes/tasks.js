@@ -1,21 +1,145 @@
 // routes/tasks.js
 const express = require('express');
+const { ethers } = require('ethers');
 const { body, validationResult } = require('express-validator');
 const Task = require('../models/Task');
 const User = require('../models/User');
+const Participant = require('../models/Participant');
 const auth = require('../middleware/auth');
+const { isStaff } = require('../middleware/authorize');
 const contractService = require('../services/contractService');
 const snapchainService = require('../services/snapchainService');
+const taskFundingService = require('../services/taskFundingService');
+const taskLifecycleService = require('../services/taskLifecycleService');
 
 const router = express.Router();
 
+const ACTION_TYPES = ['FOLLOW_USER', 'LIKE_CAST', 'RECAST_CAST', 'JOIN_CHANNEL', 'REPLY_TO_CAST', 'QUOTE_CAST', 'CAST_WITH_MENTION'];
+const TASK_TYPES = [...ACTION_TYPES, 'COMPOSITE'];
+
+// Check an action's target exists; fills in resolved FIDs on targetData.
+// Returns an error message, or null when the target is valid.
+async function validateTargetData(taskType, targetData) {
+  let validationError = null;
+
+  switch (taskType) {
+    case 'FOLLOW_USER':
+      if (!targetData.userToFollow) {
+        validationError = 'User to follow is required';
+      } else {
+        // Verify user exists
+        const targetUser = await snapchainService.getUserByUsername(targetData.userToFollow);
+        if (!targetUser) {
+          validationError = 'Target user not found on Farcaster';
+        } else {
+          targetData.userToFollowFid = targetUser.fid;
+        }
+      }
+      break;
+    case 'LIKE_CAST':
+      if (!targetData.castHashToLike) {
+        validationError = 'Cast hash to like is required';
+      } else {
+        // Verify cast exists
+        const cast = await snapchainService.getCast(targetData.castHashToLike);
+        if (!cast) {
+          validationError = 'Cast not found';
+        }
+      }
+      break;
+    case 'RECAST_CAST':
+      if (!targetData.castHashToRecast) {
+        validationError = 'Cast hash to recast is required';
+      } else {
+        // Verify cast exists
+        const cast = await snapchainService.getCast(targetData.castHashToRecast);
+        if (!cast) {
+          validationError = 'Cast not found';
+        }
+      }
+      break;
+    case 'JOIN_CHANNEL':
+      if (!targetData.channelToJoin) {
+        validationError = 'Channel to join is required';
+      }
+      break;
+    case 'REPLY_TO_CAST':
+      if (!targetData.castHashToReply) {
+        validationError = 'Cast hash to reply to is required';
+      } else {
+        // Verify cast exists
+        const cast = await snapchainService.getCast(targetData.castHashToReply);
+        if (!cast) {
+          validationError = 'Cast not found';
+        }
+      }
+      break;
+    case 'QUOTE_CAST':
+      if (!targetData.castHashToQuote) {
+        validationError = 'Cast hash to quote is required';
+      } else {
+        // Verify cast exists
+        const cast = await snapchainService.getCast(targetData.castHashToQuote);
+        if (!cast) {
+          validationError = 'Cast not found';
+        }
+      }
+      break;
+    case 'CAST_WITH_MENTION':
+      if (!targetData.mentionUsername && !targetData.castKeyword && !targetData.castUrl) {
+        validationError = 'A mention, keyword or URL is required';
+      } else if (targetData.castUrl && !/^https?:\/\/\S+$/i.test(targetData.castUrl)) {
+        validationError = 'Cast URL must be an http(s) URL';
+      } else if (targetData.mentionUsername) {
+        // Verify mentioned user exists
+        const mentionedUser = await snapchainService.getUserByUsername(targetData.mentionUsername);
+        if (!mentionedUser) {
+          validationError = 'Mentioned user not found on Farcaster';
+        } else {
+          targetData.mentionFid = mentionedUser.fid;
+        }
+      }
+      break;
+  }
+
+  return validationError;
+}
+
+// Composite tasks: 2-10 single-action steps, each validated like a task of its own
+async function validateSteps(steps) {
+  if (!Array.isArray(steps) || steps.length < 2) {
+    return 'Composite tasks need at least 2 steps';
+  }
+
+  for (let i = 0; i < steps.length; i++) {
+    steps[i].targetData = steps[i].targetData || {};
+    const stepError = await validateTargetData(steps[i].taskType, steps[i].targetData);
+    if (stepError) {
+      return `Step ${i + 1}: ${stepError}`;
+    }
+  }
+
+  return null;
+}
+
 // Create task
 router.post('/', auth, [
   body('title').notEmpty().withMessage('Title is required'),
   body('description').notEmpty().withMessage('Description is required'),
-  body('taskType').isIn(['FOLLOW_USER', 'LIKE_CAST', 'RECAST_CAST', 'JOIN_CHANNEL']).withMessage('Invalid task type'),
+  body('taskType').isIn(TASK_TYPES).withMessage('Invalid task type'),
+  body('targetData').if(body('taskType').not().equals('COMPOSITE')).isObject().withMessage('Target data is required'),
+  body('steps').if(body('taskType').equals('COMPOSITE')).isArray({ min: 2, max: 10 }).withMessage('Composite tasks need 2 to 10 steps'),
+  body('steps.*.taskType').isIn(ACTION_TYPES).withMessage('Invalid step task type'),
+  body('steps.*.title').optional().isString().isLength({ max: 100 }),
   body('maxParticipants').isInt({ min: 1, max: 1000 }).withMessage('Max participants must be between 1 and 1000'),
-  body('expiresAt').isISO8601().withMessage('Valid expiration date is required')
+  body('expiresAt').isISO8601().withMessage('Valid expiration date is required'),
+  body('rewardPerParticipant').optional().matches(/^[1-9]\d*$/).withMessage('Reward per participant must be a positive integer amount in base units'),
+  body('rewardToken').optional({ values: 'null' }).isEthereumAddress().withMessage('Valid reward token address is required'),
+  body('requirements.maxRiskScore').optional({ values: 'null' }).isInt({ min: 0, max: 100 }).withMessage('Max risk score must be between 0 and 100'),
+  body('retention.windowHours').optional().isInt({ min: 0, max: 720 }).withMessage('Retention window must be between 0 and 720 hours'),
+  body('retention.onFailure').optional().isIn(['PENDING', 'REJECTED']).withMessage('Retention failure status must be PENDING or REJECTED'),
+  body('waitlist.enabled').optional().isBoolean().withMessage('Waitlist enabled must be a boolean'),
+  body('waitlist.maxSize').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Waitlist size must be a positive integer')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -28,118 +152,162 @@ router.post('/', auth, [
       description, 
       taskType, 
       targetData, 
+      steps,
       maxParticipants, 
       expiresAt,
       tags,
-      requirements 
+      requirements,
+      retention,
+      waitlist,
+      rewardPerParticipant: requestedReward,
+      rewardToken: rewardTokenAddress
     } = req.body;
 
     // Validate target data based on task type
-    let validationError = null;
-    switch (taskType) {
-      case 'FOLLOW_USER':
-        if (!targetData.userToFollow) {
-          validationError = 'User to follow is required';
-        } else {
-          // Verify user exists
-          const targetUser = await snapchainService.getUserByUsername(targetData.userToFollow);
-          if (!targetUser) {
-            validationError = 'Target user not found on Farcaster';
-          }
-        }
-        break;
-      case 'LIKE_CAST':
-        if (!targetData.castHashToLike) {
-          validationError = 'Cast hash to like is required';
-        } else {
-          // Verify cast exists
-          const cast = await snapchainService.getCast(targetData.castHashToLike);
-          if (!cast) {
-            validationError = 'Cast not found';
-          }
-        }
-        break;
-      case 'RECAST_CAST':
-        if (!targetData.castHashToRecast) {
-          validationError = 'Cast hash to recast is required';
-        } else {
-          // Verify cast exists
-          const cast = await snapchainService.getCast(targetData.castHashToRecast);
-          if (!cast) {
-            validationError = 'Cast not found';
-          }
-        }
-        break;
-      case 'JOIN_CHANNEL':
-        if (!targetData.channelToJoin) {
-          validationError = 'Channel to join is required';
-        }
-        break;
-    }
+    const validationError = taskType === 'COMPOSITE'
+      ? await validateSteps(steps)
+      : await validateTargetData(taskType, targetData);
 
     if (validationError) {
       return res.status(400).json({ error: validationError });
     }
 
-    // Calculate total funding (0.001 ETH per participant)
-    const rewardPerParticipant = '1000000000000000'; // 0.001 ETH in wei
-    const totalFunding = (BigInt(rewardPerParticipant) * BigInt(maxParticipants)).toString();
-    const totalFundingEth = parseFloat(totalFunding) / 1e18;
+    // The creator funds the task from their own wallet
+    const creator = await User.findById(req.user.userId);
 
-    console.log(`💰 Task funding: ${totalFundingEth} ETH for ${maxParticipants} participants on Base Sepolia`);
+    const pricing = await taskFundingService.priceTask({
+      rewardPerParticipant: requestedReward,
+      rewardTokenAddress,
+      maxParticipants,
+      creatorAddress: creator.walletAddress
+    });
+
+    if (pricing.error) {
+      return res.status(400).json({ error: pricing.error });
+    }
 
-    // Create task in database
+    const { rewardPerParticipant, totalFunding, rewardToken } = pricing;
+    const totalFundingFormatted = ethers.formatUnits(totalFunding, rewardToken.decimals);
+
+    console.log(`💰 Task funding: ${totalFundingFormatted} ${rewardToken.symbol} for ${maxParticipants} participants on Base Sepolia`);
+
+    // Create task in database; it goes ACTIVE once the matching TaskCreated event is seen
     const task = new Task({
       creator: req.user.userId,
       title,
       description,
       taskType,
-      targetData,
+      targetData: taskType === 'COMPOSITE' ? {} : targetData,
+      steps: taskType === 'COMPOSITE' ? steps : [],
       rewardPerParticipant,
+      rewardToken,
       maxParticipants,
       totalFunding,
       expiresAt: new Date(expiresAt),
       tags: tags || [],
-      requirements: requirements || {}
+      requirements: requirements || {},
+      retention: retention || {},
+      // waitlist.count is kept by participantSlotService, never taken from the request
+      waitlist: waitlist ? { enabled: waitlist.enabled, maxSize: waitlist.maxSize } : {},
+      status: 'PENDING_FUNDING',
+      fundingAddress: creator.walletAddress.toLowerCase()
     });
 
     await task.save();
 
-    // Create task on smart contract
-    try {
-      const contractResult = await contractService.createTaskOnChain(
-        maxParticipants,
-        totalFundingEth
-      );
-
-      task.contractTaskId = parseInt(contractResult.taskId);
-      task.transactionHash = contractResult.transactionHash;
-      task.status = 'ACTIVE';
-      await task.save();
-
-      // Update user stats
-      await User.findByIdAndUpdate(req.user.userId, {
-        $inc: { totalTasksCreated: 1 }
+    const funding = contractService.buildCreateTaskTransaction({
+      maxParticipants,
+      totalFunding,
+      rewardPerParticipant,
+      creatorAddress: creator.walletAddress,
+      tokenAddress: rewardToken.address,
+      needsApproval: pricing.needsApproval
+    });
+
+    res.status(201).json({
+      message: 'Task created, sign the funding transaction from your wallet to activate it',
+      task: await Task.findById(task._id).populate('creator', 'warpcastUsername walletAddress fid'),
+      funding: {
+        network: 'Base Sepolia',
+        chainId: 84532,
+        totalFunding,
+        totalFundingFormatted,
+        rewardToken,
+        approval: funding.approval,
+        transaction: funding.transaction,
+        calls: funding.calls
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Confirm task funding (called after the creator's createTask transaction is sent)
+router.post('/:id/confirm-funding', auth, [
+  body('transactionHash').matches(/^0x[0-9a-fA-F]{64}$/).withMessage('Valid transaction hash is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    // Check if user is the creator
+    if (task.creator.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    if (task.status !== 'PENDING_FUNDING') {
+      return res.status(400).json({ error: 'Task is not awaiting funding' });
+    }
+
+    const result = await contractService.getTaskCreatedFromTransaction(req.body.transactionHash);
+
+    if (result.status === 'PENDING') {
+      return res.status(202).json({
+        message: 'Transaction not confirmed yet, retry once it is',
+        status: 'PENDING',
+        transactionHash: result.transactionHash,
+        confirmations: result.confirmations,
+        requiredConfirmations: result.requiredConfirmations
       });
+    }
 
-      res.status(201).json({
-        message: 'Task created successfully on Base Sepolia',
-        task: await Task.findById(task._id).populate('creator', 'warpcastUsername walletAddress fid'),
-        blockchain: {
-          network: 'Base Sepolia',
-          chainId: 84532,
-          transactionHash: contractResult.transactionHash,
-          explorerUrl: contractResult.explorerUrl,
-          gasUsed: contractResult.gasUsed
-        }
+    if (result.status !== 'CONFIRMED') {
+      return res.status(400).json({ error: result.reason, status: result.status });
+    }
+
+    const activatedTask = await taskFundingService.activateTask(task, result.event);
+
+    if (!activatedTask) {
+      return res.status(400).json({
+        error: 'TaskCreated event does not match this task (creator, funding or participant count differ)',
+        status: 'INVALID'
       });
-    } catch (contractError) {
-      console.error('Contract error:', contractError);
-      // Delete task from database if contract creation fails
-      await Task.findByIdAndDelete(task._id);
-      res.status(500).json({ error: 'Failed to create task on blockchain' });
     }
+
+    res.json({
+      message: 'Task funded and activated on Base Sepolia',
+      status: 'CONFIRMED',
+      task: await Task.findById(activatedTask._id).populate('creator', 'warpcastUsername walletAddress fid'),
+      blockchain: {
+        network: 'Base Sepolia',
+        chainId: 84532,
+        transactionHash: result.event.transactionHash,
+        explorerUrl: `${contractService.networkConfig.blockExplorer}/tx/${result.event.transactionHash}`
+      }
+    });
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Contract task already linked to another task' });
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -162,8 +330,11 @@ router.get('/', async (req, res) => {
 
     const total = await Task.countDocuments(query);
 
+    // Per-status participant counts come from the Participant collection
+    const counts = await Participant.countByStatus(tasks.map(task => task._id));
+
     res.json({
-      tasks,
+      tasks: tasks.map(task => ({ ...task.toJSON(), participantCounts: counts.get(task._id.toString()) })),
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total
@@ -177,14 +348,15 @@ router.get('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const task = await Task.findById(req.params.id)
-      .populate('creator', 'warpcastUsername walletAddress profileImage fid')
-      .populate('participants.user', 'warpcastUsername walletAddress profileImage fid');
+      .populate('creator', 'warpcastUsername walletAddress profileImage fid');
 
     if (!task) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    res.json(task);
+    const counts = await Participant.countByStatus([task._id]);
+
+    res.json({ ...task.toJSON(), participantCounts: counts.get(task._id.toString()) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -204,18 +376,20 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    // Only allow updates if task is in DRAFT status
-    if (task.status !== 'DRAFT') {
+    // Only allow updates before the task goes live
+    if (!['DRAFT', 'PENDING_FUNDING'].includes(task.status)) {
       return res.status(400).json({ error: 'Cannot update active task' });
     }
 
-    const { title, description, expiresAt, tags, requirements } = req.body;
+    const { title, description, expiresAt, tags, requirements, retention, waitlist } = req.body;
 
     if (title) task.title = title;
     if (description) task.description = description;
     if (expiresAt) task.expiresAt = new Date(expiresAt);
     if (tags) task.tags = tags;
     if (requirements) task.requirements = requirements;
+    if (retention) task.retention = retention;
+    if (waitlist) task.waitlist = { enabled: waitlist.enabled, maxSize: waitlist.maxSize, count: 0 };
 
     await task.save();
 
@@ -225,7 +399,7 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
-// Cancel task
+// Cancel task (creator, or staff stepping in on abuse)
 router.delete('/:id', auth, async (req, res) => {
   try {
     const task = await Task.findById(req.params.id);
@@ -235,19 +409,35 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     // Check if user is the creator
-    if (task.creator.toString() !== req.user.userId) {
+    if (task.creator.toString() !== req.user.userId && !isStaff(req.user)) {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
     // Only allow cancellation if no participants have claimed
-    if (task.participants.some(p => p.status === 'CLAIMED')) {
+    if (await Participant.exists({ task: task._id, status: 'CLAIMED' })) {
       return res.status(400).json({ error: 'Cannot cancel task with claimed rewards' });
     }
 
-    task.status = 'CANCELLED';
-    await task.save();
+    // Stops claims, then refunds the remaining funds on-chain
+    const cancelledTask = await taskLifecycleService.cancelTask(task, req.user.userId);
+
+    if (!cancelledTask) {
+      return res.status(400).json({ error: `Cannot cancel a ${task.status} task` });
+    }
+
+    if (cancelledTask.status !== 'CANCELLED') {
+      return res.status(202).json({
+        message: 'Task is cancelling, the on-chain refund has not been confirmed yet and will be retried',
+        status: cancelledTask.status,
+        refund: cancelledTask.refund
+      });
+    }
 
-    res.json({ message: 'Task cancelled successfully' });
+    res.json({
+      message: 'Task cancelled successfully',
+      status: cancelledTask.status,
+      refund: cancelledTask.refund
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -255,7 +445,7 @@ router.delete('/:id', auth, async (req, res) => {
 
 // Validate task target (utility endpoint)
 router.post('/validate-target', [
-  body('taskType').isIn(['FOLLOW_USER', 'LIKE_CAST', 'RECAST_CAST', 'JOIN_CHANNEL']).withMessage('Invalid task type'),
+  body('taskType').isIn(ACTION_TYPES).withMessage('Invalid task type'),
   body('targetData').isObject().withMessage('Target data is required')
 ], async (req, res) => {
   try {
@@ -281,7 +471,10 @@ router.post('/validate-target', [
         break;
       case 'LIKE_CAST':
       case 'RECAST_CAST':
-        const castHash = targetData.castHashToLike || targetData.castHashToRecast;
+      case 'REPLY_TO_CAST':
+      case 'QUOTE_CAST': {
+        const castHash = targetData.castHashToLike || targetData.castHashToRecast ||
+          targetData.castHashToReply || targetData.castHashToQuote;
         if (castHash) {
           const cast = await snapchainService.getCast(castHash);
           if (cast) {
@@ -297,6 +490,7 @@ router.post('/validate-target', [
           }
         }
         break;
+      }
       case 'JOIN_CHANNEL':
         // For now, just validate that channel ID is provided
         // You could add channel validation here if Snapchain API supports it
@@ -304,6 +498,27 @@ router.post('/validate-target', [
           result = { valid: true, data: { channelId: targetData.channelToJoin } };
         }
         break;
+      case 'CAST_WITH_MENTION':
+        if (targetData.mentionUsername) {
+          const user = await snapchainService.getUserByUsername(targetData.mentionUsername);
+          if (user) {
+            result = {
+              valid: true,
+              data: {
+                fid: user.fid,
+                displayName: user.display_name,
+                keyword: targetData.castKeyword || null,
+                url: targetData.castUrl || null
+              }
+            };
+          }
+        } else if (targetData.castKeyword || targetData.castUrl) {
+          result = {
+            valid: true,
+            data: { keyword: targetData.castKeyword || null, url: targetData.castUrl || null }
+          };
+        }
+        break;
     }
 
     res.json(result);
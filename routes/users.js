@@ -0,0 +1,91 @@
+// routes/users.js
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+
+const router = express.Router();
+
+// List users (staff)
+router.get('/', auth, authorize('admin', 'moderator'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, role, search } = req.query;
+    const query = {};
+
+    if (role) query.role = role;
+    if (search) {
+      query.warpcastUsername = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+
+    const users = await User.find(query)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      users,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get user by ID (staff)
+router.get('/:id', auth, authorize('admin', 'moderator'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a user's role (admins)
+router.patch('/:id/role', auth, authorize('admin'), [
+  body('role').isIn(['user', 'moderator', 'admin']).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Keeps the platform from losing its last admin by accident
+    if (req.params.id === req.user.userId) {
+      return res.status(400).json({ error: 'Admins cannot change their own role' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { role: req.body.role } },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    console.log(`🛡️  ${req.user.userId} set role of ${user.warpcastUsername} to ${user.role}`);
+
+    res.json({
+      message: 'Role updated successfully',
+      user
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,38 @@
+// routes/webhooks.js
+const express = require('express');
+const farcasterWebhookService = require('../services/farcasterWebhookService');
+
+const router = express.Router();
+
+// Farcaster events (reactions, follows, casts, channel members) for instant verification
+router.post('/farcaster', async (req, res) => {
+  try {
+    const signature = req.header('X-Neynar-Signature') || req.header('X-Webhook-Signature');
+
+    if (!farcasterWebhookService.verifySignature(req.rawBody, signature)) {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    if (!farcasterWebhookService.isWithinTolerance(req.body)) {
+      return res.status(400).json({ error: 'Webhook event is missing created_at or outside the accepted time window' });
+    }
+
+    if (!await farcasterWebhookService.recordDelivery(req.rawBody, req.body)) {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    let result;
+    try {
+      result = await farcasterWebhookService.handleEvent(req.body);
+    } catch (error) {
+      await farcasterWebhookService.forgetDelivery(req.rawBody);
+      throw error;
+    }
+
+    res.json({ received: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,50 @@
+// scripts/create-admin.js
+// Usage: npm run create-admin -- <warpcastUsername | walletAddress | email>
+// Promotes an existing account to admin. Only admins can change roles through the API,
+// so the first one has to be set up here: sign up normally, then run this once.
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+const findUser = (identifier) => {
+  if (ethers.isAddress(identifier)) {
+    return User.findOne({ walletAddress: identifier.toLowerCase() });
+  }
+
+  if (identifier.includes('@')) {
+    return User.findOne({ email: identifier.toLowerCase() });
+  }
+
+  return User.findOne({ warpcastUsername: identifier });
+};
+
+const run = async (identifier) => {
+  if (!identifier) {
+    throw new Error('Usage: npm run create-admin -- <warpcastUsername | walletAddress | email>');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/warpcast_tasks');
+
+  const user = await findUser(identifier);
+  if (!user) {
+    throw new Error(`No user found for "${identifier}", they need to sign up first`);
+  }
+
+  if (user.role === 'admin') {
+    console.log(`${user.warpcastUsername} is already an admin`);
+    return;
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: { role: 'admin' } });
+  console.log(`👑 ${user.warpcastUsername} (${user._id}) is now an admin`);
+};
+
+run(process.argv[2])
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Create admin error:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,55 @@
+// scripts/migrate.js
+// Usage: npm run migrate            apply pending migrations
+//        npm run migrate:status     list migrations and whether they are applied
+//        npm run migrate:reset -- <version>
+//                                   release a migration left RUNNING by a crashed run
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const migrationService = require('../services/migrationService');
+
+const run = async (command, version) => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/warpcast_tasks');
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrationService.up();
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Nothing to migrate');
+      break;
+    }
+
+    case 'status': {
+      const migrations = await migrationService.getStatus();
+      for (const migration of migrations) {
+        const appliedAt = migration.appliedAt ? ` (${migration.appliedAt.toISOString()})` : '';
+        const error = migration.error ? ` - ${migration.error}` : '';
+        console.log(`${migration.status.padEnd(8)} ${migration.version}${appliedAt}${error}`);
+      }
+      break;
+    }
+
+    case 'reset': {
+      if (!version) {
+        throw new Error('Usage: npm run migrate:reset -- <version>');
+      }
+
+      const migration = await migrationService.reset(version);
+      if (!migration) {
+        throw new Error(`Migration ${version} is not running`);
+      }
+      console.log(`Migration ${version} reset, "npm run migrate" will retry it`);
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command "${command}", expected "up", "status" or "reset"`);
+  }
+};
+
+run(process.argv[2] || 'up', process.argv[3])
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Migration error:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
\ No newline at end of file
@@ -11,6 +11,15 @@ const app = express();
 app.use(helmet());
 app.use(cors());
 
+// Webhooks: mounted ahead of the rate limiter, with the raw body kept for HMAC checks
+const webhookRoutes = require('./routes/webhooks');
+app.use('/api/webhooks', express.json({
+  limit: '1mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}), webhookRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -41,14 +50,18 @@ const authRoutes = require('./routes/auth');
 const taskRoutes = require('./routes/tasks');
 const participantRoutes = require('./routes/participants');
 const contractRoutes = require('./routes/contract');
+const userRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/participants', participantRoutes);
 app.use('/api/contract', contractRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
 
-// Health check endpoint
+// Health check endpoint: liveness only, cache and queue stats are at /api/admin/status
 app.get('/health', (req, res) => {
   res.status(200).json({ 
     status: 'OK', 
@@ -111,8 +124,23 @@ app.use((req, res) => {
 
 // Start server
 const PORT = process.env.PORT || 3000;
-connectDB().then(() => {
+connectDB().then(async () => {
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
+
+  try {
+    const pending = await require('./services/migrationService').getPending();
+    if (pending.length > 0) {
+      console.warn(`⚠️  ${pending.length} pending migration(s), run "npm run migrate": ${pending.map(m => m.version).join(', ')}`);
+    }
+  } catch (error) {
+    console.error('Error checking migrations:', error.message);
+  }
+
+  // Background workers
+  require('./services/chainIndexerService').start();
+  require('./services/verificationQueueService').start();
+  require('./services/retentionService').start();
+  require('./services/taskLifecycleService').start();
 });
\ No newline at end of file
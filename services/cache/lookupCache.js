@@ -0,0 +1,112 @@
+// services/cache/lookupCache.js
+const LruCache = require('./lruCache');
+const MongoCacheStore = require('./mongoCacheStore');
+
+// Read-through cache for remote lookups: per-method TTLs, negative caching of
+// null results, an in-process LRU in front of an optional shared store, and
+// hit/miss counters. Errors thrown by the fetcher are never cached.
+class LookupCache {
+  constructor({ namespace, ttls = {}, defaultTtlSeconds = 300, negativeTtlSeconds = 60, maxEntries = 5000, store = null, enabled = true }) {
+    this.namespace = namespace;
+    this.ttls = ttls;
+    this.defaultTtlSeconds = defaultTtlSeconds;
+    this.negativeTtlSeconds = negativeTtlSeconds;
+    this.enabled = enabled;
+    this.lru = new LruCache({ maxEntries });
+    this.store = store === 'mongo' ? new MongoCacheStore() : null;
+    this.stats = {};
+  }
+
+  key(method, args) {
+    return `${this.namespace}:${method}:${args.map(arg => String(arg).toLowerCase()).join(':')}`;
+  }
+
+  count(method, outcome) {
+    if (!this.stats[method]) {
+      this.stats[method] = { hits: 0, negativeHits: 0, misses: 0, bypasses: 0 };
+    }
+    this.stats[method][outcome] += 1;
+  }
+
+  async read(key) {
+    const cached = this.lru.get(key);
+    if (cached || !this.store) {
+      return cached;
+    }
+
+    const stored = await this.store.get(key);
+    if (stored) {
+      this.lru.set(key, stored);
+    }
+    return stored;
+  }
+
+  async write(method, key, value) {
+    const negative = value === null || value === undefined;
+    const ttlSeconds = negative ? this.negativeTtlSeconds : (this.ttls[method] || this.defaultTtlSeconds);
+    const entry = {
+      value: negative ? null : value,
+      negative,
+      expiresAt: Date.now() + ttlSeconds * 1000
+    };
+
+    this.lru.set(key, entry);
+    if (this.store) {
+      await this.store.set(key, entry);
+    }
+  }
+
+  // bypass skips the read but still refreshes the cache with the fresh value
+  async wrap(method, args, fetcher, { bypass = false } = {}) {
+    if (!this.enabled) {
+      return fetcher();
+    }
+
+    const key = this.key(method, args);
+
+    if (bypass) {
+      this.count(method, 'bypasses');
+    } else {
+      const cached = await this.read(key);
+      if (cached) {
+        this.count(method, cached.negative ? 'negativeHits' : 'hits');
+        return cached.value;
+      }
+      this.count(method, 'misses');
+    }
+
+    const value = await fetcher();
+    await this.write(method, key, value);
+    return value;
+  }
+
+  async invalidate(method, args) {
+    const key = this.key(method, args);
+    this.lru.delete(key);
+    if (this.store) {
+      await this.store.delete(key);
+    }
+  }
+
+  getStats() {
+    const totals = { hits: 0, negativeHits: 0, misses: 0, bypasses: 0 };
+    Object.values(this.stats).forEach(methodStats => {
+      Object.keys(totals).forEach(outcome => {
+        totals[outcome] += methodStats[outcome];
+      });
+    });
+
+    const lookups = totals.hits + totals.negativeHits + totals.misses;
+
+    return {
+      enabled: this.enabled,
+      store: this.store ? 'memory+mongo' : 'memory',
+      entries: this.lru.size,
+      hitRate: lookups > 0 ? (totals.hits + totals.negativeHits) / lookups : 0,
+      totals,
+      methods: this.stats
+    };
+  }
+}
+
+module.exports = LookupCache;
\ No newline at end of file
@@ -0,0 +1,52 @@
+// services/cache/mongoCacheStore.js
+const CacheEntry = require('../../models/CacheEntry');
+
+// Shared second-tier cache so lookups survive restarts and are reused across instances.
+// Store failures are logged and treated as misses; they never fail a lookup.
+class MongoCacheStore {
+  async get(key) {
+    try {
+      const entry = await CacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+      if (!entry) {
+        return undefined;
+      }
+
+      return {
+        value: entry.value,
+        negative: entry.negative,
+        expiresAt: entry.expiresAt.getTime()
+      };
+    } catch (error) {
+      console.error('Error reading cache entry:', error.message);
+      return undefined;
+    }
+  }
+
+  async set(key, entry) {
+    try {
+      await CacheEntry.updateOne(
+        { key },
+        {
+          $set: {
+            value: entry.value,
+            negative: entry.negative,
+            expiresAt: new Date(entry.expiresAt)
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error('Error writing cache entry:', error.message);
+    }
+  }
+
+  async delete(key) {
+    try {
+      await CacheEntry.deleteOne({ key });
+    } catch (error) {
+      console.error('Error deleting cache entry:', error.message);
+    }
+  }
+}
+
+module.exports = MongoCacheStore;
\ No newline at end of file
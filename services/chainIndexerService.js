@@ -0,0 +1,246 @@
+// services/chainIndexerService.js
+const ChainCursor = require('../models/ChainCursor');
+const Task = require('../models/Task');
+const Participant = require('../models/Participant');
+const contractService = require('./contractService');
+const claimService = require('./claimService');
+const taskFundingService = require('./taskFundingService');
+
+const CURSOR_NAME = 'task-reward-indexer';
+
+class ChainIndexerService {
+  constructor() {
+    this.enabled = process.env.ENABLE_CHAIN_INDEXER === 'true';
+    this.confirmations = parseInt(process.env.CHAIN_INDEXER_CONFIRMATIONS || '5');
+    this.pollIntervalMs = parseInt(process.env.CHAIN_INDEXER_POLL_INTERVAL_MS || '15000');
+    this.batchSize = parseInt(process.env.CHAIN_INDEXER_BATCH_SIZE || '2000');
+    this.startBlock = process.env.CHAIN_INDEXER_START_BLOCK
+      ? parseInt(process.env.CHAIN_INDEXER_START_BLOCK)
+      : null;
+    this.maxCheckpoints = 50;
+
+    this.timer = null;
+    this.running = false;
+
+    console.log(`📚 Chain indexer ${this.enabled ? 'ENABLED' : 'DISABLED'}`);
+  }
+
+  start() {
+    if (!this.enabled || this.timer) {
+      return;
+    }
+
+    console.log(`📚 Following TaskReward events with ${this.confirmations} confirmations`);
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    // Never let two polls overlap
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      const cursor = await this.loadCursor();
+      await this.handleReorg(cursor);
+
+      const head = await contractService.provider.getBlockNumber();
+      const safeHead = head - this.confirmations;
+
+      let fromBlock = cursor.lastProcessedBlock + 1;
+      while (fromBlock <= safeHead) {
+        const toBlock = Math.min(fromBlock + this.batchSize - 1, safeHead);
+        const events = await this.fetchEvents(fromBlock, toBlock);
+
+        for (const event of events) {
+          await this.handleEvent(event);
+        }
+
+        const block = await contractService.provider.getBlock(toBlock);
+        cursor.lastProcessedBlock = toBlock;
+        cursor.checkpoints.push({ blockNumber: toBlock, blockHash: block.hash });
+        if (cursor.checkpoints.length > this.maxCheckpoints) {
+          cursor.checkpoints.splice(0, cursor.checkpoints.length - this.maxCheckpoints);
+        }
+        await cursor.save();
+
+        if (events.length > 0) {
+          console.log(`📚 Indexed ${events.length} events in blocks ${fromBlock}-${toBlock}`);
+        }
+        fromBlock = toBlock + 1;
+      }
+    } catch (error) {
+      console.error('Chain indexer error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async loadCursor() {
+    let cursor = await ChainCursor.findOne({ name: CURSOR_NAME });
+
+    if (cursor && cursor.contractAddress.toLowerCase() !== contractService.contractAddress.toLowerCase()) {
+      throw new Error(`Indexer cursor belongs to contract ${cursor.contractAddress}, refusing to index ${contractService.contractAddress}`);
+    }
+
+    if (!cursor) {
+      // Without an explicit start block, begin following from the current safe head
+      const head = await contractService.provider.getBlockNumber();
+      const firstBlock = this.startBlock !== null ? this.startBlock : head - this.confirmations;
+
+      cursor = await ChainCursor.create({
+        name: CURSOR_NAME,
+        contractAddress: contractService.contractAddress,
+        lastProcessedBlock: firstBlock - 1,
+        checkpoints: []
+      });
+      console.log(`📚 Chain indexer cursor initialised at block ${firstBlock}`);
+    }
+
+    return cursor;
+  }
+
+  // Walk back through the checkpoints until one is still canonical, then undo
+  // everything recorded after it so the next pass re-applies the canonical events.
+  async handleReorg(cursor) {
+    if (cursor.checkpoints.length === 0) {
+      return;
+    }
+
+    const latest = cursor.checkpoints[cursor.checkpoints.length - 1];
+    const latestBlock = await contractService.provider.getBlock(latest.blockNumber);
+    if (latestBlock && latestBlock.hash === latest.blockHash) {
+      return;
+    }
+
+    let forkIndex = -1;
+    for (let i = cursor.checkpoints.length - 2; i >= 0; i--) {
+      const checkpoint = cursor.checkpoints[i];
+      const block = await contractService.provider.getBlock(checkpoint.blockNumber);
+      if (block && block.hash === checkpoint.blockHash) {
+        forkIndex = i;
+        break;
+      }
+    }
+
+    const oldestCheckpoint = cursor.checkpoints[0].blockNumber;
+    const safeBlock = forkIndex >= 0
+      ? cursor.checkpoints[forkIndex].blockNumber
+      : oldestCheckpoint - this.batchSize;
+
+    console.warn(`⚠️  Chain reorg detected after block ${safeBlock}, rewinding indexer from ${cursor.lastProcessedBlock}`);
+
+    await this.revertAfterBlock(safeBlock);
+
+    cursor.lastProcessedBlock = safeBlock;
+    cursor.checkpoints = cursor.checkpoints.slice(0, forkIndex + 1);
+    await cursor.save();
+  }
+
+  async revertAfterBlock(blockNumber) {
+    const orphanedClaims = await Participant.find({
+      status: 'CLAIMED',
+      claimBlockNumber: { $gt: blockNumber }
+    }).select('_id');
+
+    for (const participant of orphanedClaims) {
+      await claimService.revertClaim(participant._id);
+    }
+
+    await taskFundingService.revertAfterBlock(blockNumber);
+  }
+
+  async fetchEvents(fromBlock, toBlock) {
+    const contract = contractService.contract;
+
+    const [taskCreated, tokenTaskCreated, rewardClaimed] = await Promise.all([
+      contract.queryFilter(contract.filters.TaskCreated(), fromBlock, toBlock),
+      contract.queryFilter(contract.filters.TokenTaskCreated(), fromBlock, toBlock),
+      contract.queryFilter(contract.filters.RewardClaimed(), fromBlock, toBlock)
+    ]);
+
+    return [...taskCreated, ...tokenTaskCreated, ...rewardClaimed].sort((a, b) =>
+      a.blockNumber - b.blockNumber || a.index - b.index
+    );
+  }
+
+  async handleEvent(event) {
+    switch (event.eventName) {
+      case 'TaskCreated':
+      case 'TokenTaskCreated':
+        return this.handleTaskCreated(event);
+      case 'RewardClaimed':
+        return this.handleRewardClaimed(event);
+      default:
+        return null;
+    }
+  }
+
+  async handleTaskCreated(event) {
+    await taskFundingService.activateFromEvent({
+      contractTaskId: Number(event.args.taskId),
+      creator: event.args.creator,
+      token: event.eventName === 'TokenTaskCreated' ? event.args.token : null,
+      totalFunding: event.args.totalFunding.toString(),
+      rewardPerDev: event.args.rewardPerDev.toString(),
+      maxParticipants: Number(event.args.maxParticipants),
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber
+    });
+  }
+
+  async handleRewardClaimed(event) {
+    const contractTaskId = Number(event.args.taskId);
+    const developer = event.args.developer;
+
+    const task = await Task.findOne({ contractTaskId });
+    if (!task) {
+      console.warn(`📚 RewardClaimed for unknown contract task ${contractTaskId}`);
+      return;
+    }
+
+    const user = await claimService.findUserByWallet(developer);
+    if (!user) {
+      console.warn(`📚 RewardClaimed by unknown wallet ${developer} on task ${contractTaskId}`);
+      return;
+    }
+
+    const participant = await Participant.findOne({ task: task._id, user: user._id });
+    if (!participant) {
+      console.warn(`📚 RewardClaimed by ${developer}, who never joined task ${task._id}`);
+      return;
+    }
+
+    if (participant.status === 'CLAIMED') {
+      // Confirmed through /confirm-claim already; just make sure the block is recorded
+      if (participant.claimBlockNumber === null) {
+        participant.claimBlockNumber = event.blockNumber;
+        await participant.save();
+      }
+      return;
+    }
+
+    // The chain is authoritative: drop any pending reservation of this hash by someone else
+    await Participant.updateMany(
+      { transactionHash: event.transactionHash.toLowerCase(), _id: { $ne: participant._id }, status: { $ne: 'CLAIMED' } },
+      { $set: { transactionHash: null } }
+    );
+
+    await claimService.recordClaim(participant._id, {
+      transactionHash: event.transactionHash,
+      rewardAmount: event.args.rewardAmount,
+      blockNumber: event.blockNumber
+    });
+  }
+}
+
+module.exports = new ChainIndexerService();
\ No newline at end of file
@@ -0,0 +1,105 @@
+// services/claimService.js
+const Participant = require('../models/Participant');
+const User = require('../models/User');
+const claimTicketService = require('./claimTicketService');
+
+class ClaimService {
+  // Wallet addresses are stored lowercased (see migration 003)
+  async findUserByWallet(walletAddress) {
+    return User.findOne({ walletAddress: walletAddress.toLowerCase() });
+  }
+
+  async recordClaim(participantId, { transactionHash, rewardAmount, blockNumber }) {
+    try {
+      // Only the caller that flips the participant to CLAIMED credits the user
+      const participant = await Participant.findOneAndUpdate(
+        { _id: participantId, status: { $ne: 'CLAIMED' } },
+        {
+          $set: {
+            status: 'CLAIMED',
+            claimedAt: new Date(),
+            transactionHash: transactionHash.toLowerCase(),
+            claimBlockNumber: blockNumber,
+            rewardAmount: rewardAmount.toString()
+          }
+        },
+        { new: true }
+      );
+
+      if (!participant) {
+        return null;
+      }
+
+      const user = await User.findById(participant.user);
+      const update = {
+        $inc: {
+          totalTasksCompleted: 1,
+          reputation: 10
+        }
+      };
+
+      // totalRewardsEarned is denominated in wei, so token rewards don't count towards it
+      if (!participant.rewardToken) {
+        update.$set = {
+          totalRewardsEarned: (BigInt(user.totalRewardsEarned || '0') + BigInt(participant.rewardAmount)).toString()
+        };
+      }
+
+      await User.findByIdAndUpdate(participant.user, update);
+      await claimTicketService.markUsed(participant._id, participant.transactionHash);
+
+      console.log(`💸 Participant ${participant._id} marked as CLAIMED (tx ${participant.transactionHash})`);
+      return participant;
+    } catch (error) {
+      console.error('Error recording claim:', error);
+      throw error;
+    }
+  }
+
+  // Undo a claim whose transaction was dropped by a chain reorganisation
+  async revertClaim(participantId) {
+    try {
+      const participant = await Participant.findOneAndUpdate(
+        { _id: participantId, status: 'CLAIMED' },
+        {
+          $set: {
+            status: 'VERIFIED',
+            claimedAt: null,
+            transactionHash: null,
+            claimBlockNumber: null
+          }
+        }
+      );
+
+      if (!participant) {
+        return null;
+      }
+
+      const user = await User.findById(participant.user);
+      const update = {
+        $inc: {
+          totalTasksCompleted: -1,
+          reputation: -10
+        }
+      };
+
+      if (!participant.rewardToken) {
+        const totalRewardsEarned = BigInt(user.totalRewardsEarned || '0') - BigInt(participant.rewardAmount);
+        update.$set = {
+          totalRewardsEarned: (totalRewardsEarned > 0n ? totalRewardsEarned : 0n).toString()
+        };
+      }
+
+      await User.findByIdAndUpdate(participant.user, update);
+      await claimTicketService.markUnused(participant._id, participant.transactionHash);
+
+      console.log(`↩️  Claim for participant ${participant._id} reverted (tx ${participant.transactionHash})`);
+      return participant;
+    } catch (error) {
+      console.error('Error reverting claim:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ClaimService();
\ No newline at end of file
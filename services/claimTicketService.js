@@ -0,0 +1,138 @@
+// services/claimTicketService.js
+const ClaimTicket = require('../models/ClaimTicket');
+const Participant = require('../models/Participant');
+const contractService = require('./contractService');
+
+class ClaimTicketService {
+  async expireStaleTickets(filter = {}) {
+    const now = new Date();
+    const result = await ClaimTicket.updateMany(
+      { ...filter, status: 'ISSUED', deadline: { $ne: null, $lte: now } },
+      { $set: { status: 'EXPIRED', expiredAt: now } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  async getLiveTicket(participantId) {
+    await this.expireStaleTickets({ participant: participantId });
+    return ClaimTicket.findOne({ participant: participantId, status: 'ISSUED' });
+  }
+
+  // Returns the participant's live ticket, or signs and records a new one
+  async issueTicket(participant, task, user) {
+    try {
+      const liveTicket = await this.getLiveTicket(participant._id);
+      if (liveTicket) {
+        return { ticket: liveTicket, reused: true };
+      }
+
+      const rewardToken = task.rewardToken ? task.rewardToken.address : null;
+
+      const claim = await contractService.generateClaimSignature(
+        task.contractTaskId,
+        user.walletAddress,
+        task.rewardPerParticipant,
+        rewardToken
+      );
+
+      let ticket;
+      try {
+        ticket = await ClaimTicket.create({
+          participant: participant._id,
+          task: task._id,
+          user: user._id,
+          signature: claim.signature,
+          signatureMode: claim.mode,
+          nonce: claim.nonce,
+          deadline: claim.deadline ? new Date(claim.deadline * 1000) : null,
+          contractTaskId: task.contractTaskId,
+          developerAddress: user.walletAddress,
+          rewardAmount: task.rewardPerParticipant,
+          rewardToken
+        });
+      } catch (error) {
+        // A concurrent request issued the live ticket first
+        if (error.code === 11000) {
+          return { ticket: await ClaimTicket.findOne({ participant: participant._id, status: 'ISSUED' }), reused: true };
+        }
+        throw error;
+      }
+
+      console.log(`🎟️  Claim ticket ${ticket._id} issued for participant ${participant._id}`);
+      return { ticket, reused: false };
+    } catch (error) {
+      console.error('Error issuing claim ticket:', error);
+      throw error;
+    }
+  }
+
+  async revokeTicket(ticket, { revokedBy = null, reason = null } = {}) {
+    try {
+      const revokedTicket = await ClaimTicket.findOneAndUpdate(
+        { _id: ticket._id, status: 'ISSUED' },
+        {
+          $set: {
+            status: 'REVOKED',
+            revokedAt: new Date(),
+            revokedBy,
+            revokeReason: reason
+          }
+        },
+        { new: true }
+      );
+
+      if (!revokedTicket) {
+        return null;
+      }
+
+      await Participant.updateOne(
+        { _id: revokedTicket.participant, claimSignature: revokedTicket.signature },
+        { $set: { claimSignature: null, claimSignatureMode: null, claimNonce: null, claimDeadline: null } }
+      );
+
+      // Legacy signatures can't be cancelled on-chain; EIP-712 ones burn their nonce
+      if (revokedTicket.signatureMode === 'eip712') {
+        try {
+          revokedTicket.revocationTransactionHash = await contractService.invalidateClaimNonce(
+            revokedTicket.developerAddress,
+            revokedTicket.nonce
+          );
+        } catch (error) {
+          revokedTicket.revocationError = error.message;
+        }
+        await revokedTicket.save();
+      }
+
+      console.log(`🚫 Claim ticket ${revokedTicket._id} revoked${reason ? `: ${reason}` : ''}`);
+      return revokedTicket;
+    } catch (error) {
+      console.error('Error revoking claim ticket:', error);
+      throw error;
+    }
+  }
+
+  async revokeLiveTicket(participantId, options = {}) {
+    const liveTicket = await this.getLiveTicket(participantId);
+    return liveTicket ? this.revokeTicket(liveTicket, options) : null;
+  }
+
+  async markUsed(participantId, transactionHash) {
+    return ClaimTicket.findOneAndUpdate(
+      { participant: participantId, status: { $in: ['ISSUED', 'EXPIRED'] } },
+      { $set: { status: 'USED', usedAt: new Date(), transactionHash } },
+      { new: true, sort: { issuedAt: -1 } }
+    );
+  }
+
+  // Undo markUsed when the claim transaction was dropped by a reorg
+  async markUnused(participantId, transactionHash) {
+    return ClaimTicket.findOneAndUpdate(
+      { participant: participantId, status: 'USED', transactionHash },
+      { $set: { status: 'ISSUED', usedAt: null, transactionHash: null } },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new ClaimTicketService();
\ No newline at end of file
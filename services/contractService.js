@@ -24,21 +24,71 @@ class ContractService {
     // ABI for the TaskReward contract
     this.contractABI = [
       "function createTask(uint256 maxParticipants) external payable",
+      "function createTokenTask(address token, uint256 rewardPerDev, uint256 maxParticipants) external",
       "function claimReward(uint256 taskId, uint256 rewardAmount, bytes calldata signature) external",
+      "function claimRewardWithPermit(uint256 taskId, uint256 rewardAmount, uint256 nonce, uint256 deadline, bytes calldata signature) external",
+      "function isNonceUsed(address developer, uint256 nonce) external view returns (bool)",
+      "function invalidateNonce(address developer, uint256 nonce) external",
       "function getTaskDetails(uint256 taskId) external view returns (address creator, uint256 rewardPerDev, uint256 maxParticipants, uint256 numClaimed, bool isActive)",
       "function hasDevClaimed(uint256 taskId, address developer) external view returns (bool)",
       "function verifyClaimSignature(uint256 taskId, address developer, uint256 rewardAmount, bytes calldata signature) external view returns (bool)",
+      "function verifyTokenClaimSignature(uint256 taskId, address developer, uint256 rewardAmount, address token, bytes calldata signature) external view returns (bool)",
+      "function getTaskToken(uint256 taskId) external view returns (address)",
       "function taskCount() external view returns (uint256)",
+      "function getRemainingFunds(uint256 taskId) external view returns (uint256)",
+      "function withdrawRemainingFunds(uint256 taskId) external",
+      "function cancelTask(uint256 taskId) external",
       "event TaskCreated(uint256 indexed taskId, address indexed creator, uint256 totalFunding, uint256 rewardPerDev, uint256 maxParticipants)",
-      "event RewardClaimed(uint256 indexed taskId, address indexed developer, uint256 rewardAmount)"
+      "event TokenTaskCreated(uint256 indexed taskId, address indexed creator, address indexed token, uint256 totalFunding, uint256 rewardPerDev, uint256 maxParticipants)",
+      "event RewardClaimed(uint256 indexed taskId, address indexed developer, uint256 rewardAmount)",
+      "event FundsWithdrawn(uint256 indexed taskId, address indexed creator, uint256 amount)",
+      "event TaskCancelled(uint256 indexed taskId, address indexed creator, uint256 amount)"
     ];
+
+    // Minimal ERC-20 ABI for token-funded tasks
+    this.erc20ABI = [
+      "function balanceOf(address owner) external view returns (uint256)",
+      "function allowance(address owner, address spender) external view returns (uint256)",
+      "function approve(address spender, uint256 amount) external returns (bool)",
+      "function decimals() external view returns (uint8)",
+      "function symbol() external view returns (string)"
+    ];
+    this.erc20Interface = new ethers.Interface(this.erc20ABI);
     
     this.contract = new ethers.Contract(this.contractAddress, this.contractABI, this.wallet);
+
+    // Claim signing: 'legacy' (personal_sign over packed hash) for already deployed
+    // contracts, 'eip712' for contracts that verify typed claims with nonce + deadline
+    this.claimSignatureMode = process.env.CLAIM_SIGNATURE_MODE === 'eip712' ? 'eip712' : 'legacy';
+    this.claimSignatureTtlSeconds = parseInt(process.env.CLAIM_SIGNATURE_TTL_SECONDS || '86400');
+
+    // Funding and claim receipts only count this deep, same as the chain indexer: a
+    // shallower block can still be reorged out
+    this.confirmations = parseInt(process.env.CHAIN_INDEXER_CONFIRMATIONS || '5');
+
+    this.eip712Domain = {
+      name: process.env.CLAIM_EIP712_NAME || 'TaskReward',
+      version: process.env.CLAIM_EIP712_VERSION || '1',
+      chainId: this.networkConfig.chainId,
+      verifyingContract: this.contractAddress
+    };
+
+    this.eip712Types = {
+      Claim: [
+        { name: 'taskId', type: 'uint256' },
+        { name: 'developer', type: 'address' },
+        { name: 'rewardAmount', type: 'uint256' },
+        { name: 'token', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+      ]
+    };
     
     // Log network info
     console.log(`🔗 Connected to ${this.networkConfig.name} (Chain ID: ${this.networkConfig.chainId})`);
     console.log(`📋 Contract Address: ${this.contractAddress}`);
     console.log(`🌐 RPC URL: ${this.networkConfig.rpcUrl}`);
+    console.log(`🖋️  Claim signature mode: ${this.claimSignatureMode}`);
   }
 
   async getNetworkInfo() {
@@ -66,65 +116,145 @@ class ContractService {
     }
   }
 
-  async createTaskOnChain(maxParticipants, totalFundingEth) {
+  // Unsigned funding transaction(s) for the creator's own wallet to sign. Token tasks
+  // get an approve call first when the contract's allowance doesn't cover the funding.
+  buildCreateTaskTransaction({ maxParticipants, totalFunding, rewardPerParticipant, creatorAddress, tokenAddress = null, needsApproval = false }) {
+    const calls = [];
+
+    if (tokenAddress) {
+      if (needsApproval) {
+        calls.push({
+          to: tokenAddress,
+          data: this.erc20Interface.encodeFunctionData('approve', [this.contractAddress, totalFunding]),
+          value: '0x0'
+        });
+      }
+      calls.push({
+        to: this.contractAddress,
+        data: this.contract.interface.encodeFunctionData('createTokenTask', [tokenAddress, rewardPerParticipant, maxParticipants]),
+        value: '0x0'
+      });
+    } else {
+      calls.push({
+        to: this.contractAddress,
+        data: this.contract.interface.encodeFunctionData('createTask', [maxParticipants]),
+        value: ethers.toQuantity(BigInt(totalFunding))
+      });
+    }
+
+    const createCall = calls[calls.length - 1];
+
+    return {
+      approval: needsApproval ? { from: creatorAddress, ...calls[0], chainId: this.networkConfig.chainId } : null,
+      transaction: {
+        from: creatorAddress,
+        ...createCall,
+        chainId: this.networkConfig.chainId
+      },
+      // EIP-5792 wallet_sendCalls payload for wallets that support call bundles
+      calls: {
+        version: '1.0',
+        chainId: ethers.toQuantity(this.networkConfig.chainId),
+        from: creatorAddress,
+        calls
+      }
+    };
+  }
+
+  async getTokenInfo(tokenAddress) {
     try {
-      console.log(`💰 Creating task with ${totalFundingEth} ETH for ${maxParticipants} participants`);
-      
-      // Check wallet balance first
-      const balance = await this.provider.getBalance(this.wallet.address);
-      const requiredAmount = ethers.parseEther(totalFundingEth.toString());
-      
-      if (balance < requiredAmount) {
-        throw new Error(`Insufficient balance. Required: ${totalFundingEth} ETH, Available: ${ethers.formatEther(balance)} ETH`);
+      const token = new ethers.Contract(tokenAddress, this.erc20ABI, this.provider);
+      const [decimals, symbol] = await Promise.all([token.decimals(), token.symbol()]);
+
+      return {
+        address: ethers.getAddress(tokenAddress),
+        symbol,
+        decimals: Number(decimals)
+      };
+    } catch (error) {
+      console.error('Error reading ERC-20 token info:', error);
+      throw new Error(`Address ${tokenAddress} is not a readable ERC-20 token`);
+    }
+  }
+
+  // Can the creator's wallet cover a token-funded task, and does it still need to approve?
+  async getTokenFundingStatus(tokenAddress, ownerAddress, amount) {
+    try {
+      const token = new ethers.Contract(tokenAddress, this.erc20ABI, this.provider);
+      const [balance, allowance] = await Promise.all([
+        token.balanceOf(ownerAddress),
+        token.allowance(ownerAddress, this.contractAddress)
+      ]);
+
+      return {
+        balance: balance.toString(),
+        allowance: allowance.toString(),
+        hasBalance: balance >= BigInt(amount),
+        needsApproval: allowance < BigInt(amount)
+      };
+    } catch (error) {
+      console.error('Error checking token funding status:', error);
+      throw error;
+    }
+  }
+
+  // PENDING result for a receipt that is missing or not yet this.confirmations deep, else null
+  async checkConfirmations(receipt, transactionHash) {
+    if (!receipt) {
+      return { status: 'PENDING', transactionHash, confirmations: 0, requiredConfirmations: this.confirmations };
+    }
+
+    const confirmations = await this.provider.getBlockNumber() - receipt.blockNumber + 1;
+    if (confirmations < this.confirmations) {
+      return { status: 'PENDING', transactionHash, confirmations, requiredConfirmations: this.confirmations };
+    }
+
+    return null;
+  }
+
+  async getTaskCreatedFromTransaction(transactionHash) {
+    try {
+      const receipt = await this.provider.getTransactionReceipt(transactionHash);
+
+      const pending = await this.checkConfirmations(receipt, transactionHash);
+      if (pending) {
+        return pending;
       }
 
-      // Estimate gas
-      const gasEstimate = await this.contract.createTask.estimateGas(maxParticipants, {
-        value: requiredAmount
-      });
-      
-      console.log(`⛽ Estimated gas: ${gasEstimate.toString()}`);
+      if (receipt.status !== 1) {
+        return { status: 'FAILED', transactionHash, reason: 'Transaction reverted' };
+      }
 
-      // Send transaction with some buffer on gas
-      const tx = await this.contract.createTask(maxParticipants, {
-        value: requiredAmount,
-        gasLimit: gasEstimate * 120n / 100n // 20% buffer
-      });
-      
-      console.log(`📤 Transaction sent: ${tx.hash}`);
-      console.log(`🔍 Track on Base Sepolia: ${this.networkConfig.blockExplorer}/tx/${tx.hash}`);
-      
-      const receipt = await tx.wait();
-      console.log(`✅ Transaction confirmed in block ${receipt.blockNumber}`);
-      
-      // Get task ID from event
-      const taskCreatedEvent = receipt.logs.find(log => {
-        try {
-          const parsed = this.contract.interface.parseLog(log);
-          return parsed.name === 'TaskCreated';
-        } catch (e) {
-          return false;
-        }
-      });
-      
-      if (taskCreatedEvent) {
-        const parsed = this.contract.interface.parseLog(taskCreatedEvent);
-        const taskId = parsed.args.taskId.toString();
-        
-        console.log(`🎉 Task created with ID: ${taskId}`);
-        
-        return {
-          taskId,
-          transactionHash: receipt.hash,
-          blockNumber: receipt.blockNumber,
-          gasUsed: receipt.gasUsed.toString(),
-          explorerUrl: `${this.networkConfig.blockExplorer}/tx/${receipt.hash}`
-        };
+      const taskCreatedEvent = receipt.logs
+        .filter(log => log.address.toLowerCase() === this.contractAddress.toLowerCase())
+        .map(log => {
+          try {
+            return this.contract.interface.parseLog(log);
+          } catch (e) {
+            return null;
+          }
+        })
+        .find(parsed => parsed && ['TaskCreated', 'TokenTaskCreated'].includes(parsed.name));
+
+      if (!taskCreatedEvent) {
+        return { status: 'INVALID', transactionHash, reason: 'TaskCreated event not found in transaction' };
       }
-      
-      throw new Error('TaskCreated event not found');
+
+      return {
+        status: 'CONFIRMED',
+        event: {
+          contractTaskId: Number(taskCreatedEvent.args.taskId),
+          creator: taskCreatedEvent.args.creator,
+          token: taskCreatedEvent.name === 'TokenTaskCreated' ? taskCreatedEvent.args.token : null,
+          totalFunding: taskCreatedEvent.args.totalFunding.toString(),
+          rewardPerDev: taskCreatedEvent.args.rewardPerDev.toString(),
+          maxParticipants: Number(taskCreatedEvent.args.maxParticipants),
+          transactionHash: receipt.hash,
+          blockNumber: receipt.blockNumber
+        }
+      };
     } catch (error) {
-      console.error('❌ Error creating task on Base Sepolia:', error);
+      console.error('Error reading TaskCreated transaction:', error);
       throw error;
     }
   }
@@ -145,35 +275,187 @@ class ContractService {
     }
   }
 
-  async generateClaimSignature(taskId, developerAddress, rewardAmount) {
+  // Funds still held for a task (wei or token base units)
+  async getRemainingFunds(taskId) {
+    try {
+      const remaining = await this.contract.getRemainingFunds(taskId);
+      return remaining.toString();
+    } catch (error) {
+      console.error('Error getting remaining funds:', error);
+      throw error;
+    }
+  }
+
+  // Send the task's unclaimed funds back to its creator. Returns the transaction hash
+  // without waiting for it, so the caller can record it first.
+  async sendWithdrawRemainingFunds(taskId) {
+    try {
+      const tx = await this.contract.withdrawRemainingFunds(taskId);
+      console.log(`📤 Leftover withdrawal sent for task ${taskId}: ${tx.hash}`);
+      return tx.hash;
+    } catch (error) {
+      console.error('Error withdrawing remaining funds:', error);
+      throw error;
+    }
+  }
+
+  // Cancel the task on-chain: claims stop and the remaining funds go back to the creator.
+  // Returns the transaction hash without waiting for it.
+  async sendCancelTask(taskId) {
+    try {
+      const tx = await this.contract.cancelTask(taskId);
+      console.log(`📤 Cancellation sent for task ${taskId}: ${tx.hash}`);
+      return tx.hash;
+    } catch (error) {
+      console.error('Error cancelling task on-chain:', error);
+      throw error;
+    }
+  }
+
+  // Like getRefundFromTransaction, but waits up to timeoutMs for the transaction to be mined
+  async waitForRefund(transactionHash, timeoutMs) {
     try {
-      console.log(`🖋️  Generating signature for task ${taskId}, user ${developerAddress}`);
+      await this.provider.waitForTransaction(transactionHash, 1, timeoutMs);
+    } catch (error) {
+      // Timed out: still PENDING, or whatever the receipt says by now
+      console.warn(`⏱️  Still waiting for refund transaction ${transactionHash}: ${error.message}`);
+    }
+    return this.getRefundFromTransaction(transactionHash);
+  }
+
+  // Refunded amount from a FundsWithdrawn (leftover) or TaskCancelled (cancellation) event
+  async getRefundFromTransaction(transactionHash) {
+    try {
+      const receipt = await this.provider.getTransactionReceipt(transactionHash);
+
+      if (!receipt) {
+        return { status: 'PENDING', transactionHash };
+      }
+
+      if (receipt.status !== 1) {
+        return { status: 'FAILED', transactionHash, reason: 'Transaction reverted' };
+      }
+
+      const withdrawnEvent = receipt.logs
+        .filter(log => log.address.toLowerCase() === this.contractAddress.toLowerCase())
+        .map(log => {
+          try {
+            return this.contract.interface.parseLog(log);
+          } catch (e) {
+            return null;
+          }
+        })
+        .find(parsed => parsed && ['FundsWithdrawn', 'TaskCancelled'].includes(parsed.name));
+
+      if (!withdrawnEvent) {
+        return { status: 'INVALID', transactionHash, reason: 'FundsWithdrawn or TaskCancelled event not found in transaction' };
+      }
+
+      return {
+        status: 'CONFIRMED',
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        amount: withdrawnEvent.args.amount.toString(),
+        explorerUrl: `${this.networkConfig.blockExplorer}/tx/${receipt.hash}`
+      };
+    } catch (error) {
+      console.error('Error reading refund transaction:', error);
+      throw error;
+    }
+  }
+
+  // Returns { signature, mode, nonce, deadline }; nonce and deadline are null in legacy mode
+  async generateClaimSignature(taskId, developerAddress, rewardAmount, tokenAddress = null) {
+    try {
+      console.log(`🖋️  Generating ${this.claimSignatureMode} signature for task ${taskId}, user ${developerAddress}`);
+
+      if (this.claimSignatureMode === 'eip712') {
+        const claim = this.buildTypedClaim({
+          taskId,
+          developerAddress,
+          rewardAmount,
+          tokenAddress,
+          nonce: ethers.toBigInt(ethers.randomBytes(32)),
+          deadline: Math.floor(Date.now() / 1000) + this.claimSignatureTtlSeconds
+        });
+
+        const signature = await this.wallet.signTypedData(this.eip712Domain, this.eip712Types, claim);
+
+        console.log(`✅ Typed signature generated: ${signature.slice(0, 20)}...`);
+        return {
+          signature,
+          mode: 'eip712',
+          nonce: claim.nonce.toString(),
+          deadline: claim.deadline
+        };
+      }
       
-      // Create message hash (same as smart contract)
-      const messageHash = ethers.solidityPackedKeccak256(
-        ['uint256', 'address', 'uint256'],
-        [taskId, developerAddress, rewardAmount]
-      );
+      // Create message hash (same as smart contract); token claims also commit to the token
+      const messageHash = tokenAddress
+        ? ethers.solidityPackedKeccak256(
+          ['uint256', 'address', 'uint256', 'address'],
+          [taskId, developerAddress, rewardAmount, tokenAddress]
+        )
+        : ethers.solidityPackedKeccak256(
+          ['uint256', 'address', 'uint256'],
+          [taskId, developerAddress, rewardAmount]
+        );
       
       // Sign the message
       const signature = await this.wallet.signMessage(ethers.getBytes(messageHash));
       
       console.log(`✅ Signature generated: ${signature.slice(0, 20)}...`);
-      return signature;
+      return { signature, mode: 'legacy', nonce: null, deadline: null };
     } catch (error) {
       console.error('Error generating claim signature:', error);
       throw error;
     }
   }
 
-  async verifyClaimSignature(taskId, developerAddress, rewardAmount, signature) {
+  buildTypedClaim({ taskId, developerAddress, rewardAmount, tokenAddress, nonce, deadline }) {
+    return {
+      taskId: BigInt(taskId),
+      developer: developerAddress,
+      rewardAmount: BigInt(rewardAmount),
+      token: tokenAddress || ethers.ZeroAddress,
+      nonce: BigInt(nonce),
+      deadline: Number(deadline)
+    };
+  }
+
+  // EIP-712 payload clients need to submit claimRewardWithPermit or display the claim
+  getTypedClaimData(claimData) {
+    const claim = this.buildTypedClaim(claimData);
+
+    return {
+      domain: this.eip712Domain,
+      types: this.eip712Types,
+      primaryType: 'Claim',
+      message: {
+        ...claim,
+        taskId: claim.taskId.toString(),
+        rewardAmount: claim.rewardAmount.toString(),
+        nonce: claim.nonce.toString()
+      }
+    };
+  }
+
+  async verifyClaimSignature(taskId, developerAddress, rewardAmount, signature, tokenAddress = null) {
     try {
-      const isValid = await this.contract.verifyClaimSignature(
-        taskId,
-        developerAddress,
-        rewardAmount,
-        signature
-      );
+      const isValid = tokenAddress
+        ? await this.contract.verifyTokenClaimSignature(
+          taskId,
+          developerAddress,
+          rewardAmount,
+          tokenAddress,
+          signature
+        )
+        : await this.contract.verifyClaimSignature(
+          taskId,
+          developerAddress,
+          rewardAmount,
+          signature
+        );
       return isValid;
     } catch (error) {
       console.error('Error verifying claim signature:', error);
@@ -181,6 +463,49 @@ class ContractService {
     }
   }
 
+  async verifyTypedClaimSignature({ taskId, developerAddress, rewardAmount, tokenAddress = null, nonce, deadline, signature }) {
+    try {
+      const claim = this.buildTypedClaim({ taskId, developerAddress, rewardAmount, tokenAddress, nonce, deadline });
+
+      let signer = null;
+      try {
+        signer = ethers.verifyTypedData(this.eip712Domain, this.eip712Types, claim, signature);
+      } catch (e) {
+        signer = null;
+      }
+
+      const signedByBackend = signer !== null && signer.toLowerCase() === this.wallet.address.toLowerCase();
+      const expired = claim.deadline <= Math.floor(Date.now() / 1000);
+      const nonceUsed = await this.contract.isNonceUsed(developerAddress, claim.nonce);
+
+      return {
+        isValid: signedByBackend && !expired && !nonceUsed,
+        signedByBackend,
+        expired,
+        nonceUsed
+      };
+    } catch (error) {
+      console.error('Error verifying typed claim signature:', error);
+      throw error;
+    }
+  }
+
+  // Burn an EIP-712 claim nonce so an issued signature can no longer be used
+  async invalidateClaimNonce(developerAddress, nonce) {
+    try {
+      const tx = await this.contract.invalidateNonce(developerAddress, nonce);
+      console.log(`📤 Nonce invalidation sent: ${tx.hash}`);
+
+      const receipt = await tx.wait();
+      console.log(`✅ Nonce invalidated in block ${receipt.blockNumber}`);
+
+      return receipt.hash;
+    } catch (error) {
+      console.error('Error invalidating claim nonce:', error);
+      throw error;
+    }
+  }
+
   async hasUserClaimed(taskId, userAddress) {
     try {
       const hasClaimed = await this.contract.hasDevClaimed(taskId, userAddress);
@@ -191,6 +516,70 @@ class ContractService {
     }
   }
 
+  async verifyClaimTransaction(transactionHash, { taskId, developerAddress, rewardAmount }) {
+    try {
+      const receipt = await this.provider.getTransactionReceipt(transactionHash);
+
+      // Not mined yet (or unknown to the node), or not deep enough to survive a reorg
+      const pending = await this.checkConfirmations(receipt, transactionHash);
+      if (pending) {
+        return pending;
+      }
+
+      if (receipt.status !== 1) {
+        return { status: 'FAILED', transactionHash, reason: 'Transaction reverted' };
+      }
+
+      // Only logs emitted by our TaskReward contract count
+      const claimEvent = receipt.logs
+        .filter(log => log.address.toLowerCase() === this.contractAddress.toLowerCase())
+        .map(log => {
+          try {
+            return this.contract.interface.parseLog(log);
+          } catch (e) {
+            return null;
+          }
+        })
+        .find(parsed => parsed && parsed.name === 'RewardClaimed');
+
+      if (!claimEvent) {
+        return { status: 'INVALID', transactionHash, reason: 'RewardClaimed event not found in transaction' };
+      }
+
+      const { args } = claimEvent;
+      const mismatches = [];
+
+      if (args.taskId.toString() !== String(taskId)) {
+        mismatches.push('taskId');
+      }
+      if (args.developer.toLowerCase() !== developerAddress.toLowerCase()) {
+        mismatches.push('developer');
+      }
+      if (args.rewardAmount.toString() !== String(rewardAmount)) {
+        mismatches.push('rewardAmount');
+      }
+
+      if (mismatches.length > 0) {
+        return {
+          status: 'INVALID',
+          transactionHash,
+          reason: `RewardClaimed event does not match participant (${mismatches.join(', ')})`
+        };
+      }
+
+      return {
+        status: 'CONFIRMED',
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        rewardAmount: args.rewardAmount.toString(),
+        explorerUrl: `${this.networkConfig.blockExplorer}/tx/${receipt.hash}`
+      };
+    } catch (error) {
+      console.error('Error verifying claim transaction:', error);
+      throw error;
+    }
+  }
+
   // Utility function to get Base Sepolia faucet info
   getFaucetInfo() {
     return {
@@ -220,3 +609,5 @@ class ContractService {
     };
   }
 }
+
+module.exports = new ContractService();
\ No newline at end of file
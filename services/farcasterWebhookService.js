@@ -0,0 +1,258 @@
+// services/farcasterWebhookService.js
+const crypto = require('crypto');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Participant = require('../models/Participant');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const snapchainService = require('./snapchainService');
+const verificationService = require('./verificationService');
+const verificationQueueService = require('./verificationQueueService');
+
+class FarcasterWebhookService {
+  constructor() {
+    this.secret = process.env.FARCASTER_WEBHOOK_SECRET;
+    // Events whose created_at is further than this from now are turned away as replays
+    this.toleranceSeconds = parseInt(process.env.FARCASTER_WEBHOOK_TOLERANCE_SECONDS || '300');
+
+    if (!this.secret) {
+      console.warn('FARCASTER_WEBHOOK_SECRET not set, Farcaster webhooks will be rejected');
+    }
+  }
+
+  // HMAC-SHA512 of the raw request body, hex encoded (Neynar's webhook scheme)
+  verifySignature(rawBody, signature) {
+    if (!this.secret || !rawBody || !signature) {
+      return false;
+    }
+
+    const expected = crypto.createHmac('sha512', this.secret).update(rawBody).digest('hex');
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const signatureBuffer = Buffer.from(String(signature), 'hex');
+
+    return expectedBuffer.length === signatureBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  }
+
+  // created_at is in seconds (Neynar), an ISO date is accepted too
+  isWithinTolerance(payload, now = Date.now()) {
+    const createdAt = payload?.created_at;
+    const timestamp = typeof createdAt === 'number' ? createdAt * 1000 : Date.parse(createdAt);
+
+    return Number.isFinite(timestamp) && Math.abs(now - timestamp) <= this.toleranceSeconds * 1000;
+  }
+
+  deliveryId(rawBody) {
+    return crypto.createHash('sha256').update(rawBody).digest('hex');
+  }
+
+  // Record a delivery before handling it. False when it was already handled (a replay or a
+  // redelivery). Records outlive the tolerance window, after which replays fail the timestamp check.
+  async recordDelivery(rawBody, payload) {
+    try {
+      await WebhookDelivery.create({
+        deliveryId: this.deliveryId(rawBody),
+        type: payload?.type || null,
+        expiresAt: new Date(Date.now() + 2 * this.toleranceSeconds * 1000)
+      });
+      return true;
+    } catch (error) {
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Handling failed: let the sender's retry through
+  async forgetDelivery(rawBody) {
+    await WebhookDelivery.deleteOne({ deliveryId: this.deliveryId(rawBody) });
+  }
+
+  // Reduce the vendor payload to what task matching needs
+  normalizeEvent(payload) {
+    const { type, data } = payload || {};
+    if (!data) {
+      return null;
+    }
+
+    switch (type) {
+      case 'reaction.created':
+        return {
+          kind: 'reaction',
+          fid: data.user?.fid,
+          castHash: data.cast?.hash,
+          reactionType: data.reaction_type === 2 || data.reaction_type === 'recast' ? 'recast' : 'like'
+        };
+      case 'follow.created':
+        return {
+          kind: 'follow',
+          fid: data.user?.fid,
+          targetFid: data.target_user?.fid
+        };
+      case 'cast.created':
+        return {
+          kind: 'cast',
+          fid: data.author?.fid,
+          cast: data
+        };
+      case 'channel.member.added':
+        return {
+          kind: 'channel_member',
+          fid: data.user?.fid,
+          channelId: data.channel?.id
+        };
+      default:
+        return null;
+    }
+  }
+
+  // Match a single-action task, or a COMPOSITE task with a step, of taskType whose targetData matches
+  actionQuery(taskType, target) {
+    const targetFields = {};
+    Object.keys(target).forEach(field => {
+      targetFields[`targetData.${field}`] = target[field];
+    });
+
+    return {
+      $or: [
+        { taskType, ...targetFields },
+        { taskType: 'COMPOSITE', steps: { $elemMatch: { taskType, ...targetFields } } }
+      ]
+    };
+  }
+
+  // The task's actions: its steps for COMPOSITE tasks, otherwise the task itself
+  taskActions(task) {
+    return task.taskType === 'COMPOSITE' ? task.steps : [task];
+  }
+
+  castSatisfies(action, cast, task) {
+    const { targetData } = action;
+
+    switch (action.taskType) {
+      case 'REPLY_TO_CAST':
+        return snapchainService.isReplyTo(cast, targetData.castHashToReply);
+      case 'QUOTE_CAST':
+        return snapchainService.isQuoteOf(cast, targetData.castHashToQuote);
+      case 'CAST_WITH_MENTION':
+        return Boolean(targetData.mentionFid || targetData.castKeyword || targetData.castUrl) &&
+          snapchainService.castMatchesCriteria(cast, {
+            mentionFid: targetData.mentionFid,
+            keyword: targetData.castKeyword,
+            url: targetData.castUrl,
+            since: task.createdAt
+          });
+      default:
+        return false;
+    }
+  }
+
+  // ACTIVE tasks whose target this event could satisfy
+  async findCandidateTasks(event) {
+    const activeTasks = { status: 'ACTIVE', expiresAt: { $gt: new Date() } };
+
+    switch (event.kind) {
+      case 'reaction':
+        return event.reactionType === 'recast'
+          ? Task.find({ ...activeTasks, ...this.actionQuery('RECAST_CAST', { castHashToRecast: event.castHash }) })
+          : Task.find({ ...activeTasks, ...this.actionQuery('LIKE_CAST', { castHashToLike: event.castHash }) });
+
+      case 'follow': {
+        const tasks = await Task.find({
+          ...activeTasks,
+          $or: [
+            ...this.actionQuery('FOLLOW_USER', { userToFollowFid: event.targetFid }).$or,
+            { taskType: 'FOLLOW_USER', 'targetData.userToFollowFid': { $exists: false } }
+          ]
+        });
+
+        // Tasks created before the target FID was stored resolve it through the cache
+        const matches = [];
+        for (const task of tasks) {
+          if (task.taskType === 'COMPOSITE') {
+            matches.push(task);
+            continue;
+          }
+
+          let targetFid = task.targetData.userToFollowFid;
+          if (targetFid === undefined) {
+            const targetUser = await snapchainService.getUserByUsername(task.targetData.userToFollow);
+            targetFid = targetUser ? targetUser.fid : null;
+          }
+          if (targetFid === event.targetFid) {
+            matches.push(task);
+          }
+        }
+        return matches;
+      }
+
+      case 'cast': {
+        const castTypes = ['REPLY_TO_CAST', 'QUOTE_CAST', 'CAST_WITH_MENTION'];
+        const tasks = await Task.find({
+          ...activeTasks,
+          $or: [
+            { taskType: { $in: castTypes } },
+            { taskType: 'COMPOSITE', 'steps.taskType': { $in: castTypes } }
+          ]
+        });
+
+        return tasks.filter(task =>
+          this.taskActions(task).some(action => this.castSatisfies(action, event.cast, task))
+        );
+      }
+
+      case 'channel_member':
+        return Task.find({ ...activeTasks, ...this.actionQuery('JOIN_CHANNEL', { channelToJoin: event.channelId }) });
+
+      default:
+        return [];
+    }
+  }
+
+  async handleEvent(payload) {
+    const event = this.normalizeEvent(payload);
+    if (!event || !event.fid) {
+      return { ignored: true, matched: 0, verified: 0 };
+    }
+
+    const tasks = await this.findCandidateTasks(event);
+    if (tasks.length === 0) {
+      return { ignored: false, matched: 0, verified: 0 };
+    }
+
+    const user = await User.findOne({ fid: event.fid });
+    if (!user) {
+      return { ignored: false, matched: 0, verified: 0 };
+    }
+
+    const participants = await Participant.find({
+      user: user._id,
+      task: { $in: tasks.map(task => task._id) },
+      status: 'PENDING'
+    }).populate('task');
+
+    let verified = 0;
+    for (const participant of participants) {
+      try {
+        const result = await verificationService.verifyParticipant(participant, {
+          note: 'Auto-verified via Farcaster webhook'
+        });
+        if (result.transitioned) {
+          verified += 1;
+        }
+      } catch (error) {
+        // Hand the check to the queue so a provider hiccup doesn't lose the event
+        console.error('Webhook verification error, queueing retry:', error.message);
+        await verificationQueueService.enqueue(participant, { reason: 'webhook' });
+      }
+    }
+
+    if (participants.length > 0) {
+      console.log(`🪝 ${payload.type} from fid ${event.fid}: ${verified}/${participants.length} participants verified`);
+    }
+
+    return { ignored: false, matched: participants.length, verified };
+  }
+}
+
+module.exports = new FarcasterWebhookService();
\ No newline at end of file
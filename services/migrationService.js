@@ -0,0 +1,130 @@
+// services/migrationService.js
+const fs = require('fs');
+const path = require('path');
+const Migration = require('../models/Migration');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Runs the versioned data migrations in migrations/ in file name order. Each file exports
+// { description, up() }; applied versions are recorded in the migrations collection.
+class MigrationService {
+  constructor(migrationsDir = MIGRATIONS_DIR) {
+    this.migrationsDir = migrationsDir;
+    // A RUNNING record older than this is taken to be left over from a crashed runner
+    this.lockTimeoutMs = parseInt(process.env.MIGRATION_LOCK_TIMEOUT_MS || '3600000');
+  }
+
+  // Every migration on disk, oldest first
+  list() {
+    return fs.readdirSync(this.migrationsDir)
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .map(file => {
+        const migration = require(path.join(this.migrationsDir, file));
+        return {
+          version: path.basename(file, '.js'),
+          description: migration.description || null,
+          up: migration.up
+        };
+      });
+  }
+
+  async getStatus() {
+    const records = await Migration.find();
+    const byVersion = new Map(records.map(record => [record.version, record]));
+
+    return this.list().map(migration => {
+      const record = byVersion.get(migration.version);
+      return {
+        version: migration.version,
+        description: migration.description,
+        status: record ? record.status : 'PENDING',
+        appliedAt: record ? record.appliedAt : null,
+        error: record ? record.error : null
+      };
+    });
+  }
+
+  async getPending() {
+    const status = await this.getStatus();
+    return status.filter(migration => migration.status !== 'APPLIED');
+  }
+
+  // Apply every pending migration, stopping at the first failure. Failed migrations are retried.
+  async up() {
+    const applied = [];
+
+    for (const migration of this.list()) {
+      const record = await this.lock(migration);
+      if (!record) {
+        continue;
+      }
+
+      console.log(`🗄️  Applying migration ${migration.version}`);
+
+      try {
+        await migration.up();
+      } catch (error) {
+        await Migration.updateOne(
+          { _id: record._id },
+          { $set: { status: 'FAILED', error: error.message } }
+        );
+        console.error(`❌ Migration ${migration.version} failed:`, error.message);
+        throw error;
+      }
+
+      await Migration.updateOne(
+        { _id: record._id },
+        { $set: { status: 'APPLIED', appliedAt: new Date(), error: null } }
+      );
+      applied.push(migration.version);
+
+      console.log(`✅ Migration ${migration.version} applied`);
+    }
+
+    return applied;
+  }
+
+  // Mark a migration RUNNING, or null when it's applied. Failed and stale RUNNING records are taken over.
+  async lock(migration) {
+    const staleBefore = new Date(Date.now() - this.lockTimeoutMs);
+
+    try {
+      return await Migration.findOneAndUpdate(
+        {
+          version: migration.version,
+          $or: [{ status: 'FAILED' }, { status: 'RUNNING', startedAt: { $lt: staleBefore } }]
+        },
+        { $set: { status: 'RUNNING', startedAt: new Date(), error: null } },
+        { new: true }
+      ) || await Migration.create({
+        version: migration.version,
+        description: migration.description,
+        status: 'RUNNING',
+        startedAt: new Date()
+      });
+    } catch (error) {
+      // Already recorded: APPLIED, or RUNNING somewhere else
+      if (error.code === 11000) {
+        const existing = await Migration.findOne({ version: migration.version });
+        if (existing.status === 'RUNNING') {
+          throw new Error(`Migration ${migration.version} is already running (started ${existing.startedAt.toISOString()}), ` +
+            `run "npm run migrate:reset -- ${migration.version}" if its runner crashed`);
+        }
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Release a RUNNING migration whose runner died, so the next run retries it
+  async reset(version) {
+    return Migration.findOneAndUpdate(
+      { version, status: 'RUNNING' },
+      { $set: { status: 'FAILED', error: 'Reset after the runner stopped' } },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new MigrationService();
\ No newline at end of file
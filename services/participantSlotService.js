@@ -0,0 +1,135 @@
+// services/participantSlotService.js
+const Task = require('../models/Task');
+const Participant = require('../models/Participant');
+
+// Task.currentParticipants only ever changes through conditional updates here,
+// so parallel joins can't take more slots than the contract can pay for.
+class ParticipantSlotService {
+  // Take a slot if one is free. Returns the updated task, or null when full.
+  async reserveSlot(taskId, { statuses = ['ACTIVE'] } = {}) {
+    return Task.findOneAndUpdate(
+      {
+        _id: taskId,
+        status: { $in: statuses },
+        $expr: { $lt: ['$currentParticipants', '$maxParticipants'] }
+      },
+      { $inc: { currentParticipants: 1 } },
+      { new: true }
+    );
+  }
+
+  // Give back a slot that was reserved but never used
+  async unreserveSlot(taskId) {
+    await Task.updateOne(
+      { _id: taskId, currentParticipants: { $gt: 0 } },
+      { $inc: { currentParticipants: -1 } }
+    );
+  }
+
+  // Take a waitlist position, within maxSize if the task has one. Returns the updated task, or null when full.
+  async reserveWaitlistPosition(task) {
+    const filter = { _id: task._id, 'waitlist.enabled': true };
+    if (task.waitlist.maxSize) {
+      filter.$expr = { $lt: ['$waitlist.count', '$waitlist.maxSize'] };
+    }
+
+    return Task.findOneAndUpdate(filter, { $inc: { 'waitlist.count': 1 } }, { new: true });
+  }
+
+  // Give back a waitlist position: the participant was promoted, left, or never got added
+  async unreserveWaitlistPosition(taskId) {
+    await Task.updateOne(
+      { _id: taskId, 'waitlist.count': { $gt: 0 } },
+      { $inc: { 'waitlist.count': -1 } }
+    );
+  }
+
+  // Free a rejected or departed participant's slot and promote the next waitlisted user.
+  // Each participant releases at most once. Returns the promoted participant, if any.
+  async releaseSlot(participant) {
+    const released = await Participant.findOneAndUpdate(
+      { _id: participant._id, slotReleasedAt: null, status: { $ne: 'WAITLISTED' } },
+      { $set: { slotReleasedAt: new Date() } }
+    );
+
+    if (!released) {
+      return null;
+    }
+
+    const taskId = participant.task._id || participant.task;
+    await this.unreserveSlot(taskId);
+
+    return this.promoteNext(taskId);
+  }
+
+  // Staff reinstating a participant whose slot was released. Returns false when the task is full.
+  async reclaimSlot(participant) {
+    if (!participant.slotReleasedAt) {
+      return true;
+    }
+
+    const taskId = participant.task._id || participant.task;
+    const reserved = await this.reserveSlot(taskId, { statuses: ['ACTIVE', 'PAUSED', 'COMPLETED'] });
+    if (!reserved) {
+      return false;
+    }
+
+    participant.slotReleasedAt = null;
+    return true;
+  }
+
+  // Recount a task's taken slots from the Participant collection: everyone who joined,
+  // minus the waitlist, and minus whoever gave their slot back. The waitlist is recounted too.
+  async reconcileSlots(taskId) {
+    const taken = await Participant.countDocuments({
+      task: taskId,
+      status: { $nin: ['WAITLISTED', 'WITHDRAWN'] },
+      slotReleasedAt: null
+    });
+    const waitlisted = await Participant.countDocuments({ task: taskId, status: 'WAITLISTED' });
+
+    await Task.updateOne({ _id: taskId }, { $set: { currentParticipants: taken, 'waitlist.count': waitlisted } });
+    return taken;
+  }
+
+  async getWaitlistPosition(participant) {
+    const ahead = await Participant.countDocuments({
+      task: participant.task._id || participant.task,
+      status: 'WAITLISTED',
+      waitlistedAt: { $lt: participant.waitlistedAt }
+    });
+    return ahead + 1;
+  }
+
+  // Move the longest-waiting user into a free slot: their status becomes PENDING
+  async promoteNext(taskId) {
+    for (;;) {
+      const next = await Participant.findOne({ task: taskId, status: 'WAITLISTED' }).sort({ waitlistedAt: 1 });
+      if (!next) {
+        return null;
+      }
+
+      const reserved = await this.reserveSlot(taskId, { statuses: ['ACTIVE', 'PAUSED'] });
+      if (!reserved) {
+        return null;
+      }
+
+      const promoted = await Participant.findOneAndUpdate(
+        { _id: next._id, status: 'WAITLISTED' },
+        { $set: { status: 'PENDING', promotedAt: new Date(), verificationNotes: 'Promoted from the waitlist' } },
+        { new: true }
+      );
+
+      if (promoted) {
+        await this.unreserveWaitlistPosition(taskId);
+        console.log(`⬆️  Participant ${promoted._id} promoted from the waitlist of task ${taskId}`);
+        return promoted;
+      }
+
+      // They left the waitlist meanwhile: give the slot to the next one
+      await this.unreserveSlot(taskId);
+    }
+  }
+}
+
+module.exports = new ParticipantSlotService();
\ No newline at end of file
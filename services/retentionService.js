@@ -0,0 +1,170 @@
+// services/retentionService.js
+const Task = require('../models/Task');
+const Participant = require('../models/Participant');
+const verificationService = require('./verificationService');
+const claimTicketService = require('./claimTicketService');
+const participantSlotService = require('./participantSlotService');
+
+// Re-checks VERIFIED-but-unclaimed participants of tasks with a retention window,
+// so an unfollow or unlike after verification doesn't still get paid out.
+class RetentionService {
+  constructor() {
+    this.enabled = process.env.RETENTION_SWEEPER_ENABLED !== 'false';
+    this.intervalMs = parseInt(process.env.RETENTION_SWEEP_INTERVAL_MS || '600000');
+    this.batchSize = parseInt(process.env.RETENTION_SWEEP_BATCH_SIZE || '50');
+    // How often the sweeper re-checks the same participant
+    this.recheckIntervalMs = parseInt(process.env.RETENTION_RECHECK_INTERVAL_MS || '3600000');
+
+    this.timer = null;
+    this.running = false;
+
+    console.log(`🔁 Retention sweeper ${this.enabled ? 'ENABLED' : 'DISABLED'}`);
+  }
+
+  start() {
+    if (!this.enabled || this.timer) {
+      return;
+    }
+
+    console.log(`🔁 Sweeping retention checks every ${this.intervalMs}ms`);
+    this.timer = setInterval(() => this.sweep(), this.intervalMs);
+    this.sweep();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // True while the participant still has to keep the action in place
+  isWithinWindow(participant, task) {
+    const windowHours = task.retention?.windowHours || 0;
+    if (windowHours <= 0) {
+      return false;
+    }
+
+    // Verified before verifiedAt was recorded: check to be safe
+    if (!participant.verifiedAt) {
+      return true;
+    }
+
+    return participant.verifiedAt.getTime() + windowHours * 60 * 60 * 1000 > Date.now();
+  }
+
+  // Re-check a VERIFIED participant (task populated). When an action was undone the
+  // participant goes back to the task's retention.onFailure status and any live claim
+  // ticket is revoked. Provider errors are thrown.
+  async recheck(participant) {
+    const task = participant.task;
+    const { retained, undone } = await verificationService.checkRetention(participant);
+
+    if (retained) {
+      await Participant.updateOne({ _id: participant._id }, { $set: { retentionCheckedAt: new Date() } });
+      return { retained: true, participant };
+    }
+
+    const undoneTypes = undone.map(action => action.taskType).join(', ');
+    const note = `Retention check failed: ${undoneTypes} no longer in place`;
+    const undoneSteps = new Set(undone.filter(action => action._id).map(action => action._id.toString()));
+
+    const stepResults = (participant.stepResults || []).map(result => {
+      const plain = typeof result.toObject === 'function' ? result.toObject() : result;
+      return undoneSteps.has(plain.step.toString())
+        ? { ...plain, status: 'NOT_VERIFIED', verifiedAt: null, lastCheckedAt: new Date() }
+        : plain;
+    });
+
+    // Only if still VERIFIED and unclaimed, so a claim that lands meanwhile wins
+    const updatedParticipant = await Participant.findOneAndUpdate(
+      { _id: participant._id, status: 'VERIFIED', claimedAt: null },
+      {
+        $set: {
+          status: task.retention.onFailure,
+          verificationNotes: note,
+          verifiedAt: null,
+          retentionCheckedAt: new Date(),
+          stepResults,
+          'verification.state': 'NOT_VERIFIED'
+        }
+      },
+      { new: true }
+    );
+
+    if (!updatedParticipant) {
+      return { retained: true, participant };
+    }
+
+    await claimTicketService.revokeLiveTicket(participant._id, { reason: note });
+
+    if (updatedParticipant.status === 'REJECTED') {
+      await participantSlotService.releaseSlot(updatedParticipant);
+    }
+
+    console.log(`↩️  Participant ${participant._id} moved to ${updatedParticipant.status}: ${note}`);
+
+    return { retained: false, undone, participant: updatedParticipant };
+  }
+
+  async sweep() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    try {
+      const tasks = await Task.find({
+        'retention.windowHours': { $gt: 0 },
+        status: { $in: ['ACTIVE', 'PAUSED'] }
+      });
+
+      let checked = 0;
+      let undone = 0;
+
+      for (const task of tasks) {
+        if (checked >= this.batchSize) {
+          break;
+        }
+
+        const windowStart = new Date(Date.now() - task.retention.windowHours * 60 * 60 * 1000);
+        const participants = await Participant.find({
+          task: task._id,
+          status: 'VERIFIED',
+          claimedAt: null,
+          $and: [
+            { $or: [{ verifiedAt: null }, { verifiedAt: { $gt: windowStart } }] },
+            { $or: [{ retentionCheckedAt: null }, { retentionCheckedAt: { $lt: new Date(Date.now() - this.recheckIntervalMs) } }] }
+          ]
+        })
+          .sort({ retentionCheckedAt: 1 })
+          .limit(this.batchSize - checked);
+
+        for (const participant of participants) {
+          participant.task = task;
+          checked += 1;
+
+          try {
+            const result = await this.recheck(participant);
+            if (!result.retained) {
+              undone += 1;
+            }
+          } catch (error) {
+            // Picked up again on the next sweep
+            console.error(`Retention check error for participant ${participant._id}:`, error.message);
+          }
+        }
+      }
+
+      if (undone > 0) {
+        console.log(`🔁 Retention sweep: ${checked} checked, ${undone} undone`);
+      }
+    } catch (error) {
+      console.error('Retention sweep error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new RetentionService();
\ No newline at end of file
@@ -0,0 +1,70 @@
+// services/riskScoring/index.js
+const { defaultSignals } = require('./signals');
+
+// Combines risk signals into a 0-100 score: the weighted average of every
+// signal that could be evaluated. Signals are plain objects
+//   { name, weight, evaluate(context) -> { risk: 0..1, detail } | null }
+// so deployments can add their own with addSignal().
+class RiskScorer {
+  constructor({ signals = defaultSignals, weights = {} } = {}) {
+    this.signals = signals.map(signal => ({
+      ...signal,
+      weight: weights[signal.name] ?? signal.weight
+    }));
+  }
+
+  addSignal(signal) {
+    this.signals.push(signal);
+  }
+
+  async score(context) {
+    const results = [];
+
+    for (const signal of this.signals) {
+      if (!signal.weight) {
+        continue;
+      }
+
+      try {
+        const result = await signal.evaluate(context);
+        if (result) {
+          results.push({ name: signal.name, weight: signal.weight, risk: result.risk, detail: result.detail });
+        }
+      } catch (error) {
+        console.error(`Risk signal ${signal.name} failed:`, error.message);
+      }
+    }
+
+    const totalWeight = results.reduce((sum, result) => sum + result.weight, 0);
+    const score = totalWeight > 0
+      ? Math.round(100 * results.reduce((sum, result) => sum + result.weight * result.risk, 0) / totalWeight)
+      : null;
+
+    return { score, signals: results };
+  }
+}
+
+// RISK_SIGNALS picks built-in signals by name, RISK_SIGNAL_WEIGHTS overrides weights ("fidAge:2,recentJoins:0")
+function createRiskScorer({
+  enabled = process.env.RISK_SIGNALS,
+  weights = process.env.RISK_SIGNAL_WEIGHTS
+} = {}) {
+  const names = enabled ? enabled.split(',').map(name => name.trim()) : null;
+  const signals = names
+    ? defaultSignals.filter(signal => names.includes(signal.name))
+    : defaultSignals;
+
+  const weightOverrides = {};
+  (weights || '').split(',').filter(Boolean).forEach(entry => {
+    const [name, weight] = entry.split(':');
+    weightOverrides[name.trim()] = parseFloat(weight);
+  });
+
+  return new RiskScorer({ signals, weights: weightOverrides });
+}
+
+module.exports = {
+  RiskScorer,
+  createRiskScorer,
+  defaultSignals
+};
\ No newline at end of file
@@ -0,0 +1,90 @@
+// services/riskScoring/signals.js
+
+// Linear interpolation of value between a "safe" and a "risky" bound, clamped to 0..1
+function scale(value, safe, risky) {
+  const risk = (value - safe) / (risky - safe);
+  return Math.min(Math.max(risk, 0), 1);
+}
+
+// Built-in signals. Each evaluate(context) resolves to { risk: 0..1, detail },
+// or null when the data it needs isn't available (the signal is then skipped).
+// context is { user, farcasterUser, recentCasts, recentJoins }.
+const defaultSignals = [
+  {
+    // FIDs are issued in order, so a high FID is a young account
+    name: 'fidAge',
+    weight: 1,
+    evaluate({ user }) {
+      const oldFid = parseInt(process.env.RISK_OLD_FID || '400000');
+      const newFid = parseInt(process.env.RISK_NEW_FID || '1000000');
+      return { risk: scale(user.fid, oldFid, newFid), detail: { fid: user.fid } };
+    }
+  },
+  {
+    // Follow-farming accounts follow many and are followed by few
+    name: 'followRatio',
+    weight: 1,
+    evaluate({ farcasterUser }) {
+      if (!farcasterUser || farcasterUser.follower_count === null || farcasterUser.follower_count === undefined) {
+        return null;
+      }
+
+      const followers = farcasterUser.follower_count;
+      const following = farcasterUser.following_count || 0;
+      const ratio = followers / Math.max(following, 1);
+      const ratioRisk = scale(ratio, 0.5, 0.05);
+      const sizeRisk = scale(followers, 50, 5);
+
+      return { risk: Math.max(ratioRisk, sizeRisk), detail: { followers, following } };
+    }
+  },
+  {
+    // Accounts that never cast are usually only there to farm tasks
+    name: 'castActivity',
+    weight: 1,
+    evaluate({ recentCasts }) {
+      if (!recentCasts) {
+        return null;
+      }
+
+      const since = Date.now() - 30 * 24 * 60 * 60 * 1000;
+      const castsLast30Days = recentCasts.filter(cast => new Date(cast.timestamp).getTime() >= since).length;
+
+      return { risk: scale(castsLast30Days, 10, 0), detail: { castsLast30Days } };
+    }
+  },
+  {
+    // Provider-side reputation: power badge, or Neynar's user quality score
+    name: 'providerQuality',
+    weight: 2,
+    evaluate({ farcasterUser }) {
+      if (!farcasterUser) {
+        return null;
+      }
+
+      if (farcasterUser.power_badge) {
+        return { risk: 0, detail: { powerBadge: true } };
+      }
+
+      const score = farcasterUser.experimental?.neynar_user_score ?? farcasterUser.score;
+      if (typeof score !== 'number') {
+        return null;
+      }
+
+      return { risk: 1 - Math.min(Math.max(score, 0), 1), detail: { qualityScore: score } };
+    }
+  },
+  {
+    // Bots join everything at once
+    name: 'recentJoins',
+    weight: 1,
+    evaluate({ recentJoins }) {
+      return { risk: scale(recentJoins, 5, 30), detail: { joinsLast24Hours: recentJoins } };
+    }
+  }
+];
+
+module.exports = {
+  defaultSignals,
+  scale
+};
\ No newline at end of file
@@ -0,0 +1,50 @@
+// services/riskScoringService.js
+const Participant = require('../models/Participant');
+const snapchainService = require('./snapchainService');
+const { createRiskScorer } = require('./riskScoring');
+
+class RiskScoringService {
+  constructor() {
+    this.scorer = createRiskScorer();
+    this.recentCastsLimit = parseInt(process.env.RISK_RECENT_CASTS_LIMIT || '50');
+  }
+
+  // Everything the signals look at. Lookups that fail are left null so their signals are skipped.
+  async buildContext(participant, user) {
+    const [farcasterUser, recentCasts, recentJoins] = await Promise.all([
+      snapchainService.getUserByFid(user.fid),
+      snapchainService.fetchUserCasts(user.fid, this.recentCastsLimit).catch(error => {
+        console.error('Error getting casts for risk scoring:', error.message);
+        return null;
+      }),
+      Participant.countDocuments({
+        user: user._id,
+        _id: { $ne: participant._id },
+        createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+      })
+    ]);
+
+    return { user, farcasterUser, recentCasts, recentJoins };
+  }
+
+  // Scores the participant and flags them for manual review when they exceed the
+  // task's threshold (or couldn't be scored at all). Sets the fields without saving.
+  async scoreParticipant(participant, user, task) {
+    const context = await this.buildContext(participant, user);
+    const { score, signals } = await this.scorer.score(context);
+
+    const threshold = task.requirements?.maxRiskScore;
+    const hasThreshold = threshold !== null && threshold !== undefined;
+
+    participant.risk = { score, signals, scoredAt: new Date() };
+    participant.requiresManualReview = hasThreshold && (score === null || score > threshold);
+
+    if (participant.requiresManualReview) {
+      console.log(`🕵️  Participant ${participant._id} scored ${score} (max ${threshold}), routed to manual review`);
+    }
+
+    return participant.risk;
+  }
+}
+
+module.exports = new RiskScoringService();
\ No newline at end of file
@@ -0,0 +1,119 @@
+// services/sessionService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+class SessionService {
+  constructor() {
+    this.jwtSecret = process.env.JWT_SECRET;
+    if (!this.jwtSecret) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET must be set in production');
+      }
+      console.warn('JWT_SECRET not set, using an insecure development secret');
+      this.jwtSecret = 'your-secret-key';
+    }
+
+    this.accessTokenTtlSeconds = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900');
+    this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  signAccessToken(userId, sessionId) {
+    return jwt.sign(
+      { userId, sessionId },
+      this.jwtSecret,
+      { expiresIn: this.accessTokenTtlSeconds }
+    );
+  }
+
+  tokens(session, refreshToken) {
+    return {
+      token: this.signAccessToken(session.user, session._id),
+      refreshToken,
+      expiresIn: this.accessTokenTtlSeconds
+    };
+  }
+
+  // Start a session for a freshly authenticated user
+  async createSession(user, req) {
+    const refreshToken = this.generateRefreshToken();
+
+    const session = await Session.create({
+      user: user._id,
+      refreshTokenHash: this.hashToken(refreshToken),
+      userAgent: req.get('user-agent') || null,
+      ip: req.ip,
+      expiresAt: new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000)
+    });
+
+    return this.tokens(session, refreshToken);
+  }
+
+  // Swap a refresh token for a new pair. A token that was already rotated out
+  // revokes its whole session, since either the user or an attacker holds a copy.
+  // Returns tokens, or { error } when the refresh token can't be used.
+  async refresh(refreshToken) {
+    const tokenHash = this.hashToken(refreshToken);
+    const nextRefreshToken = this.generateRefreshToken();
+
+    const session = await Session.findOneAndUpdate(
+      { refreshTokenHash: tokenHash, status: 'ACTIVE', expiresAt: { $gt: new Date() } },
+      {
+        $set: { refreshTokenHash: this.hashToken(nextRefreshToken), lastUsedAt: new Date() },
+        $push: { previousTokenHashes: { $each: [tokenHash], $slice: -100 } }
+      },
+      { new: true }
+    );
+
+    if (session) {
+      return this.tokens(session, nextRefreshToken);
+    }
+
+    const reusedSession = await Session.findOne({ previousTokenHashes: tokenHash });
+    if (reusedSession) {
+      console.warn(`⚠️  Refresh token reuse detected, revoking session ${reusedSession._id}`);
+      await this.revokeSession(reusedSession._id, 'refresh_token_reuse');
+      return { error: 'Refresh token was already used; the session has been revoked' };
+    }
+
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  async revokeSession(sessionId, reason) {
+    return Session.updateOne(
+      { _id: sessionId, status: 'ACTIVE' },
+      { $set: { status: 'REVOKED', revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  async revokeAllSessions(userId, reason = 'logout_all') {
+    const result = await Session.updateMany(
+      { user: userId, status: 'ACTIVE' },
+      { $set: { status: 'REVOKED', revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  // Verify an access token and check its session is still live; null when it isn't
+  async authenticate(token) {
+    const decoded = jwt.verify(token, this.jwtSecret);
+
+    // Tokens issued before sessions existed can't be revoked, so they are no longer accepted
+    if (!decoded.sessionId) {
+      return null;
+    }
+
+    const session = await Session.exists({ _id: decoded.sessionId, status: 'ACTIVE' });
+    return session ? decoded : null;
+  }
+}
+
+module.exports = new SessionService();
\ No newline at end of file
@@ -0,0 +1,218 @@
+// services/signInService.js
+const { ethers } = require('ethers');
+const AuthNonce = require('../models/AuthNonce');
+const User = require('../models/User');
+const snapchainService = require('./snapchainService');
+
+// Farcaster's IdRegistry on OP Mainnet maps FIDs to their custody addresses
+const ID_REGISTRY_ADDRESS = '0x00000000Fc6c5F01Fc30151999387Bb99A9f489b';
+const OP_MAINNET_CHAIN_ID = 10;
+
+// Handles EIP-4361 (Sign-In With Ethereum) messages, and Sign-In With Farcaster,
+// which is a SIWE message signed by the FID's custody address with a
+// farcaster://fid/<fid> resource.
+class SignInService {
+  constructor() {
+    // Sign-in messages must name this domain. Never taken from the Host header, which the client controls.
+    this.domain = process.env.SIGN_IN_DOMAIN;
+    if (!this.domain) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('SIGN_IN_DOMAIN must be set in production');
+      }
+      this.domain = `localhost:${process.env.PORT || 3000}`;
+      console.warn(`SIGN_IN_DOMAIN not set, using ${this.domain}`);
+    }
+
+    this.nonceTtlSeconds = parseInt(process.env.SIGN_IN_NONCE_TTL_SECONDS || '600');
+    this.allowedChainIds = (process.env.SIWE_ALLOWED_CHAIN_IDS || '1,10,8453,84532')
+      .split(',')
+      .map(id => parseInt(id.trim()));
+
+    this.optimismProvider = new ethers.JsonRpcProvider(
+      process.env.OPTIMISM_RPC_URL || 'https://mainnet.optimism.io',
+      OP_MAINNET_CHAIN_ID,
+      { staticNetwork: true }
+    );
+    this.idRegistry = new ethers.Contract(ID_REGISTRY_ADDRESS, [
+      "function idOf(address owner) external view returns (uint256)",
+      "function custodyOf(uint256 fid) external view returns (address)"
+    ], this.optimismProvider);
+  }
+
+  async issueNonce() {
+    return AuthNonce.create({
+      nonce: ethers.hexlify(ethers.randomBytes(16)).slice(2),
+      expiresAt: new Date(Date.now() + this.nonceTtlSeconds * 1000)
+    });
+  }
+
+  // Parse an EIP-4361 message; returns null when it isn't one
+  parseMessage(message) {
+    const lines = String(message).split('\n');
+    const header = lines[0].match(/^(\S+) wants you to sign in with your Ethereum account:$/);
+
+    if (!header || !ethers.isAddress(lines[1])) {
+      return null;
+    }
+
+    const fields = { domain: header[1], address: lines[1], statement: null, resources: [] };
+    const keys = {
+      'URI': 'uri',
+      'Version': 'version',
+      'Chain ID': 'chainId',
+      'Nonce': 'nonce',
+      'Issued At': 'issuedAt',
+      'Expiration Time': 'expirationTime',
+      'Not Before': 'notBefore',
+      'Request ID': 'requestId'
+    };
+
+    let inResources = false;
+    for (const line of lines.slice(2)) {
+      if (inResources && line.startsWith('- ')) {
+        fields.resources.push(line.slice(2));
+        continue;
+      }
+      inResources = false;
+
+      if (line === 'Resources:') {
+        inResources = true;
+        continue;
+      }
+
+      const separator = line.indexOf(': ');
+      const key = separator > 0 ? keys[line.slice(0, separator)] : null;
+      if (key) {
+        fields[key] = line.slice(separator + 2);
+      } else if (line && !fields.uri && !fields.statement) {
+        fields.statement = line;
+      }
+    }
+
+    if (!fields.uri || fields.version !== '1' || !fields.chainId || !fields.nonce || !fields.issuedAt) {
+      return null;
+    }
+
+    fields.chainId = parseInt(fields.chainId);
+    return fields;
+  }
+
+  // Checks the message, recovers the signer and spends the nonce.
+  // Returns { valid: true, fields, address } or { valid: false, error }.
+  async verifyMessage(message, signature, { domain, chainIds }) {
+    const fields = this.parseMessage(message);
+    if (!fields) {
+      return { valid: false, error: 'Malformed sign-in message' };
+    }
+
+    if (fields.domain !== domain) {
+      return { valid: false, error: `Message is for ${fields.domain}, expected ${domain}` };
+    }
+
+    if (!chainIds.includes(fields.chainId)) {
+      return { valid: false, error: `Chain ID ${fields.chainId} is not accepted` };
+    }
+
+    const now = Date.now();
+    if (fields.expirationTime && new Date(fields.expirationTime).getTime() <= now) {
+      return { valid: false, error: 'Sign-in message has expired' };
+    }
+    if (fields.notBefore && new Date(fields.notBefore).getTime() > now) {
+      return { valid: false, error: 'Sign-in message is not valid yet' };
+    }
+
+    let address;
+    try {
+      address = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      return { valid: false, error: 'Invalid signature' };
+    }
+
+    if (address.toLowerCase() !== fields.address.toLowerCase()) {
+      return { valid: false, error: 'Signature does not match the message address' };
+    }
+
+    // Spend the nonce last, so a bad request can't burn someone else's nonce
+    const nonce = await AuthNonce.findOneAndUpdate(
+      { nonce: fields.nonce, usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } }
+    );
+    if (!nonce) {
+      return { valid: false, error: 'Nonce is unknown, expired or already used' };
+    }
+
+    return { valid: true, fields, address: ethers.getAddress(address) };
+  }
+
+  async verifySiwe(message, signature, { domain }) {
+    return this.verifyMessage(message, signature, { domain, chainIds: this.allowedChainIds });
+  }
+
+  async verifySiwf(message, signature, { domain }) {
+    const fields = this.parseMessage(message);
+    const resource = fields && fields.resources.find(uri => /^farcaster:\/\/fid\/\d+$/.test(uri));
+    if (!resource) {
+      return { valid: false, error: 'Message has no farcaster://fid resource' };
+    }
+
+    const result = await this.verifyMessage(message, signature, { domain, chainIds: [OP_MAINNET_CHAIN_ID] });
+    if (!result.valid) {
+      return result;
+    }
+
+    const fid = parseInt(resource.split('/').pop());
+    const custodyAddress = await this.idRegistry.custodyOf(fid);
+
+    if (custodyAddress.toLowerCase() !== result.address.toLowerCase()) {
+      return { valid: false, error: `Signer is not the custody address of FID ${fid}` };
+    }
+
+    return { ...result, fid };
+  }
+
+  // FID registered to a custody address, or null
+  async getFidForAddress(address) {
+    const fid = await this.idRegistry.idOf(address);
+    return fid > 0n ? Number(fid) : null;
+  }
+
+  // Log in the user with this FID, creating them from their Farcaster profile if needed
+  async findOrCreateUser({ fid, address }) {
+    const existingUser = await User.findOne({ fid });
+
+    if (existingUser) {
+      // Signing in with the FID's custody address proves the account's wallet too
+      if (!existingUser.isVerified && existingUser.walletAddress === address.toLowerCase()) {
+        existingUser.isVerified = true;
+        existingUser.verificationMethod = 'custody';
+        existingUser.verifiedAt = new Date();
+        await existingUser.save();
+      }
+
+      return { user: existingUser, created: false };
+    }
+
+    const farcasterUser = await snapchainService.getUserByFid(fid);
+    if (!farcasterUser || !farcasterUser.username) {
+      return { error: 'Farcaster profile not found' };
+    }
+
+    const user = new User({
+      warpcastUsername: farcasterUser.username,
+      fid,
+      walletAddress: address.toLowerCase(),
+      profileImage: farcasterUser.pfp_url,
+      bio: farcasterUser.profile?.bio?.text,
+      isVerified: true,
+      verificationMethod: 'custody',
+      verifiedAt: new Date()
+    });
+
+    await user.save();
+    console.log(`👤 Created user ${user.warpcastUsername} (FID ${fid}) from wallet sign-in`);
+
+    return { user, created: true };
+  }
+}
+
+module.exports = new SignInService();
\ No newline at end of file
@@ -1,158 +1,229 @@
-const axios = require('axios');
+const { createSocialGraphProvider } = require('./socialGraph');
+const LookupCache = require('./cache/lookupCache');
 
 class SnapchainService {
   constructor() {
-    this.baseURL = 'https://snapchain-api.neynar.com';
-    this.apiKey = process.env.SNAPCHAIN_API_KEY;
-    
-    if (!this.apiKey) {
-      console.warn('SNAPCHAIN_API_KEY not found in environment variables');
-    }
+    // Vendor-specific calls live in the provider (see services/socialGraph)
+    this.provider = createSocialGraphProvider();
+    console.log(`🕸️  Social graph provider: ${this.provider.name}`);
+
+    // Upper bounds for cursor pagination so a huge list can't stall a request. Pages are
+    // capped too: a provider may keep handing out cursors with empty pages.
+    this.pageSize = parseInt(process.env.SNAPCHAIN_PAGE_SIZE || '100');
+    this.maxPaginatedItems = parseInt(process.env.SNAPCHAIN_MAX_PAGINATED_ITEMS || '10000');
+    this.maxPages = parseInt(process.env.SNAPCHAIN_MAX_PAGES || '200');
+    // Cast-based tasks only look this far back through a user's own casts
+    this.maxRecentCasts = parseInt(process.env.SNAPCHAIN_MAX_RECENT_CASTS || '500');
+
+    // Users and casts are looked up over and over (task creation, joins, verification)
+    this.cache = new LookupCache({
+      namespace: 'snapchain',
+      enabled: process.env.SNAPCHAIN_CACHE_ENABLED !== 'false',
+      store: process.env.SNAPCHAIN_CACHE_STORE === 'mongo' ? 'mongo' : null,
+      maxEntries: parseInt(process.env.SNAPCHAIN_CACHE_MAX_ENTRIES || '5000'),
+      negativeTtlSeconds: parseInt(process.env.SNAPCHAIN_CACHE_NEGATIVE_TTL || '60'),
+      ttls: {
+        getUserByUsername: parseInt(process.env.SNAPCHAIN_CACHE_USER_TTL || '600'),
+        getUserByFid: parseInt(process.env.SNAPCHAIN_CACHE_USER_TTL || '600'),
+        getCast: parseInt(process.env.SNAPCHAIN_CACHE_CAST_TTL || '1800'),
+        directLookup: parseInt(process.env.SNAPCHAIN_CACHE_LOOKUP_TTL || '60')
+      }
+    });
+  }
+
+  getCacheStats() {
+    return this.cache.getStats();
   }
 
-  getHeaders() {
-    return {
-      'Content-Type': 'application/json',
-      'x-api-key': this.apiKey
-    };
+  // Swap the provider at runtime, e.g. a FixtureProvider in tests
+  setProvider(provider) {
+    this.provider = provider;
   }
 
   async getApiInfo() {
     try {
-      const response = await axios.get(`${this.baseURL}/v1/info`, {
-        headers: this.getHeaders()
-      });
-      return response.data;
+      return await this.provider.getApiInfo();
     } catch (error) {
       console.error('Error getting API info:', error.response?.data || error.message);
       throw error;
     }
   }
 
-  async getUserByUsername(username) {
+  // Like getUserByUsername, but lets provider errors through to the caller
+  async fetchUserByUsername(username, { bypassCache = false } = {}) {
+    return this.cache.wrap('getUserByUsername', [username], () => this.provider.getUserByUsername(username), { bypass: bypassCache });
+  }
+
+  async getUserByUsername(username, options = {}) {
     try {
-      const response = await axios.get(`${this.baseURL}/v1/user/by-username`, {
-        params: { username },
-        headers: this.getHeaders()
-      });
-      return response.data.user;
+      return await this.fetchUserByUsername(username, options);
     } catch (error) {
       console.error('Error getting user by username:', error.response?.data || error.message);
       return null;
     }
   }
 
-  async getUserByFid(fid) {
+  async getUserByFid(fid, { bypassCache = false } = {}) {
     try {
-      const response = await axios.get(`${this.baseURL}/v1/user`, {
-        params: { fid },
-        headers: this.getHeaders()
-      });
-      return response.data.user;
+      return await this.cache.wrap('getUserByFid', [fid], () => this.provider.getUserByFid(fid), { bypass: bypassCache });
     } catch (error) {
       console.error('Error getting user by FID:', error.response?.data || error.message);
       return null;
     }
   }
 
-  async getCast(hash) {
+  async getCast(hash, { bypassCache = false } = {}) {
     try {
-      const response = await axios.get(`${this.baseURL}/v1/cast`, {
-        params: { hash },
-        headers: this.getHeaders()
-      });
-      return response.data.cast;
+      return await this.cache.wrap('getCast', [hash], () => this.provider.getCast(hash), { bypass: bypassCache });
     } catch (error) {
       console.error('Error getting cast:', error.response?.data || error.message);
       return null;
     }
   }
 
-  async getCastLikes(hash, limit = 100) {
+  // How an address is tied to a FID: 'custody', 'verified_address', or null if it isn't.
+  // Never cached, and provider errors are thrown: this backs ownership proofs.
+  async getAddressLink(fid, address) {
+    const addresses = await this.provider.getUserAddresses(fid);
+    if (!addresses) {
+      return null;
+    }
+
+    const target = address.toLowerCase();
+
+    if (addresses.custodyAddress && addresses.custodyAddress.toLowerCase() === target) {
+      return 'custody';
+    }
+
+    if (addresses.verifiedAddresses.some(verified => verified.toLowerCase() === target)) {
+      return 'verified_address';
+    }
+
+    return null;
+  }
+
+  // Follow nextCursor until the list ends, maxItems are collected or maxPages are read
+  async collectPages(fetchPage, maxItems = this.maxPaginatedItems) {
+    const items = [];
+    let cursor;
+    let pages = 0;
+
+    do {
+      const page = await fetchPage({ limit: Math.min(this.pageSize, maxItems - items.length), cursor });
+      items.push(...page.items);
+      cursor = page.nextCursor;
+      pages += 1;
+    } while (cursor && items.length < maxItems && pages < this.maxPages);
+
+    if (cursor && items.length < maxItems) {
+      console.warn(`⚠️  Stopped paginating after ${pages} pages (${items.length} items)`);
+    }
+
+    return items.slice(0, maxItems);
+  }
+
+  // Page through a list until an item matches, stopping at maxItems or maxPages
+  async findInPages(fetchPage, predicate, maxItems = this.maxPaginatedItems) {
+    let scanned = 0;
+    let cursor;
+    let pages = 0;
+
+    do {
+      const page = await fetchPage({ limit: Math.min(this.pageSize, maxItems - scanned), cursor });
+      if (page.items.some(predicate)) {
+        return { found: true, scanned: scanned + page.items.length, truncated: false };
+      }
+      scanned += page.items.length;
+      cursor = page.nextCursor;
+      pages += 1;
+    } while (cursor && scanned < maxItems && pages < this.maxPages);
+
+    return { found: false, scanned, truncated: Boolean(cursor) };
+  }
+
+  // Ask the provider directly when it supports a point lookup; null means "can't tell"
+  async directLookup(method, args, { bypassCache = false } = {}) {
+    if (typeof this.provider[method] !== 'function') {
+      return null;
+    }
+
+    return this.cache.wrap('directLookup', [method, ...args], async () => {
+      const result = await this.provider[method](...args);
+      return typeof result === 'boolean' ? result : null;
+    }, { bypass: bypassCache });
+  }
+
+  async getCastLikes(hash, limit = this.maxPaginatedItems) {
     try {
-      const response = await axios.get(`${this.baseURL}/v1/cast/likes`, {
-        params: { hash, limit },
-        headers: this.getHeaders()
-      });
-      return response.data.likes || [];
+      return await this.collectPages(options => this.provider.getCastReactions(hash, 'like', options), limit);
     } catch (error) {
       console.error('Error getting cast likes:', error.response?.data || error.message);
       return [];
     }
   }
 
-  async getCastRecasts(hash, limit = 100) {
+  async getCastRecasts(hash, limit = this.maxPaginatedItems) {
     try {
-      const response = await axios.get(`${this.baseURL}/v1/cast/recasts`, {
-        params: { hash, limit },
-        headers: this.getHeaders()
-      });
-      return response.data.recasts || [];
+      return await this.collectPages(options => this.provider.getCastReactions(hash, 'recast', options), limit);
     } catch (error) {
       console.error('Error getting cast recasts:', error.response?.data || error.message);
       return [];
     }
   }
 
-  async getUserFollowing(fid, limit = 100) {
+  // Like getUserCasts, but lets provider errors through to the caller
+  async fetchUserCasts(fid, limit = this.maxRecentCasts) {
+    return this.collectPages(options => this.provider.getUserCasts(fid, options), limit);
+  }
+
+  async getUserCasts(fid, limit = this.maxRecentCasts) {
+    try {
+      return await this.fetchUserCasts(fid, limit);
+    } catch (error) {
+      console.error('Error getting user casts:', error.response?.data || error.message);
+      return [];
+    }
+  }
+
+  async getUserFollowing(fid, limit = this.maxPaginatedItems) {
     try {
-      const response = await axios.get(`${this.baseURL}/v1/user/following`, {
-        params: { fid, limit },
-        headers: this.getHeaders()
-      });
-      return response.data.users || [];
+      return await this.collectPages(options => this.provider.getUserFollowing(fid, options), limit);
     } catch (error) {
       console.error('Error getting user following:', error.response?.data || error.message);
       return [];
     }
   }
 
-  async getUserFollowers(fid, limit = 100) {
+  async getUserFollowers(fid, limit = this.maxPaginatedItems) {
     try {
-      const response = await axios.get(`${this.baseURL}/v1/user/followers`, {
-        params: { fid, limit },
-        headers: this.getHeaders()
-      });
-      return response.data.users || [];
+      return await this.collectPages(options => this.provider.getUserFollowers(fid, options), limit);
     } catch (error) {
       console.error('Error getting user followers:', error.response?.data || error.message);
       return [];
     }
   }
 
-  async getChannelMembers(channelId, limit = 100) {
+  async getChannelMembers(channelId, limit = this.maxPaginatedItems) {
     try {
-      const response = await axios.get(`${this.baseURL}/v1/channel/members`, {
-        params: { id: channelId, limit },
-        headers: this.getHeaders()
-      });
-      return response.data.members || [];
+      return await this.collectPages(options => this.provider.getChannelMembers(channelId, options), limit);
     } catch (error) {
       console.error('Error getting channel members:', error.response?.data || error.message);
       return [];
     }
   }
 
-  async getChannelFollowers(channelId, limit = 100) {
+  async getChannelFollowers(channelId, limit = this.maxPaginatedItems) {
     try {
-      const response = await axios.get(`${this.baseURL}/v1/channel/followers`, {
-        params: { id: channelId, limit },
-        headers: this.getHeaders()
-      });
-      return response.data.users || [];
+      return await this.collectPages(options => this.provider.getChannelFollowers(channelId, options), limit);
     } catch (error) {
       console.error('Error getting channel followers:', error.response?.data || error.message);
       return [];
     }
   }
 
-  async getUserChannels(fid) {
+  async getUserChannels(fid, limit = this.maxPaginatedItems) {
     try {
-      const response = await axios.get(`${this.baseURL}/v1/user/channels`, {
-        params: { fid },
-        headers: this.getHeaders()
-      });
-      return response.data.channels || [];
+      return await this.collectPages(options => this.provider.getUserChannels(fid, options), limit);
     } catch (error) {
       console.error('Error getting user channels:', error.response?.data || error.message);
       return [];
@@ -160,79 +231,170 @@ class SnapchainService {
   }
 
   // Task verification methods
-  async verifyUserFollowsUser(userFid, targetUsername) {
-    try {
-      // Get target user's FID
-      const targetUser = await this.getUserByUsername(targetUsername);
-      if (!targetUser) {
-        console.log(`Target user ${targetUsername} not found`);
-        return false;
+  // Verification methods take { bypassCache } so the final check before a
+  // participant is marked VERIFIED always sees fresh data. Provider errors are
+  // thrown rather than read as "not done", so the verification queue can retry them.
+  async verifyUserFollowsUser(userFid, targetUsername, options = {}) {
+    // Get target user's FID
+    const targetUser = await this.fetchUserByUsername(targetUsername, options);
+    if (!targetUser) {
+      console.log(`Target user ${targetUsername} not found`);
+      return false;
+    }
+
+    let isFollowing = await this.directLookup('isFollowing', [userFid, targetUser.fid], options);
+
+    if (isFollowing === null) {
+      // Fall back to scanning the user's following list
+      const result = await this.findInPages(
+        options => this.provider.getUserFollowing(userFid, options),
+        user => user.fid === targetUser.fid
+      );
+      this.warnIfTruncated(result, `following list of ${userFid}`);
+      isFollowing = result.found;
+    }
+    
+    console.log(`User ${userFid} follows ${targetUsername} (${targetUser.fid}): ${isFollowing}`);
+    return isFollowing;
+  }
+
+  async verifyCastReaction(userFid, castHash, type, options = {}) {
+    const direct = await this.directLookup('hasReaction', [userFid, castHash, type], options);
+    if (direct !== null) {
+      return direct;
+    }
+
+    const result = await this.findInPages(
+      options => this.provider.getCastReactions(castHash, type, options),
+      reaction => reaction.fid === userFid
+    );
+    this.warnIfTruncated(result, `${type}s of cast ${castHash}`);
+    return result.found;
+  }
+
+  async verifyCastLike(userFid, castHash, options = {}) {
+    const hasLiked = await this.verifyCastReaction(userFid, castHash, 'like', options);
+    
+    console.log(`User ${userFid} liked cast ${castHash}: ${hasLiked}`);
+    return hasLiked;
+  }
+
+  async verifyCastRecast(userFid, castHash, options = {}) {
+    const hasRecasted = await this.verifyCastReaction(userFid, castHash, 'recast', options);
+    
+    console.log(`User ${userFid} recasted cast ${castHash}: ${hasRecasted}`);
+    return hasRecasted;
+  }
+
+  async verifyChannelMembership(userFid, channelId, options = {}) {
+    let isMemberOrFollower = await this.directLookup('isChannelMember', [userFid, channelId], options);
+
+    if (isMemberOrFollower === null) {
+      // Check if user is a member of the channel
+      const members = await this.findInPages(
+        options => this.provider.getChannelMembers(channelId, options),
+        member => member.fid === userFid
+      );
+      this.warnIfTruncated(members, `members of channel ${channelId}`);
+
+      // Also check if user follows the channel
+      let followers = { found: false };
+      if (!members.found) {
+        followers = await this.findInPages(
+          options => this.provider.getChannelFollowers(channelId, options),
+          follower => follower.fid === userFid
+        );
+        this.warnIfTruncated(followers, `followers of channel ${channelId}`);
       }
 
-      // Get user's following list
-      const following = await this.getUserFollowing(userFid, 1000);
-      
-      // Check if target user is in following list
-      const isFollowing = following.some(user => user.fid === targetUser.fid);
-      
-      console.log(`User ${userFid} follows ${targetUsername} (${targetUser.fid}): ${isFollowing}`);
-      return isFollowing;
-    } catch (error) {
-      console.error('Error verifying user follows user:', error);
-      return false;
+      isMemberOrFollower = members.found || followers.found;
     }
+    
+    console.log(`User ${userFid} is member/follower of channel ${channelId}: ${isMemberOrFollower}`);
+    return isMemberOrFollower;
   }
 
-  async verifyCastLike(userFid, castHash) {
-    try {
-      // Get cast likes
-      const likes = await this.getCastLikes(castHash, 1000);
-      
-      // Check if user liked the cast
-      const hasLiked = likes.some(like => like.user.fid === userFid);
-      
-      console.log(`User ${userFid} liked cast ${castHash}: ${hasLiked}`);
-      return hasLiked;
-    } catch (error) {
-      console.error('Error verifying cast like and recast:', error);
+  // Cast references may be "0xhash" or the hub provider's "<fid>:0xhash"
+  castHashMatches(hash, castRef) {
+    if (!hash || !castRef) {
       return false;
     }
+    return String(hash).toLowerCase() === String(castRef).split(':').pop().toLowerCase();
   }
 
-  async verifyCastRecast(userFid, castHash) {
-    try {
-      // Get cast recasts
-      const recasts = await this.getCastRecasts(castHash, 1000);
-      
-      // Check if user recasted the cast
-      const hasRecasted = recasts.some(recast => recast.user.fid === userFid);
-      
-      console.log(`User ${userFid} recasted cast ${castHash}: ${hasRecasted}`);
-      return hasRecasted;
-    } catch (error) {
-      console.error('Error verifying cast recast:', error);
+  isReplyTo(cast, castRef) {
+    return this.castHashMatches(cast.parent_hash, castRef);
+  }
+
+  isQuoteOf(cast, castRef) {
+    return (cast.embeds || []).some(embed =>
+      this.castHashMatches(embed.cast_id?.hash || embed.cast?.hash, castRef)
+    );
+  }
+
+  // Every criterion that is set must hold: mentions mentionFid, contains keyword, links url
+  castMatchesCriteria(cast, { mentionFid, keyword, url, since } = {}) {
+    if (since && new Date(cast.timestamp) < new Date(since)) {
       return false;
     }
-  }
 
-  async verifyChannelMembership(userFid, channelId) {
-    try {
-      // Check if user is a member of the channel
-      const members = await this.getChannelMembers(channelId, 1000);
-      const isMember = members.some(member => member.fid === userFid);
-      
-      // Also check if user follows the channel
-      const followers = await this.getChannelFollowers(channelId, 1000);
-      const isFollower = followers.some(follower => follower.fid === userFid);
-      
-      const isMemberOrFollower = isMember || isFollower;
-      
-      console.log(`User ${userFid} is member/follower of channel ${channelId}: ${isMemberOrFollower}`);
-      return isMemberOrFollower;
-    } catch (error) {
-      console.error('Error verifying channel membership:', error);
+    if (mentionFid && !(cast.mentioned_profiles || []).some(profile => profile.fid === Number(mentionFid))) {
+      return false;
+    }
+
+    const text = (cast.text || '').toLowerCase();
+
+    if (keyword && !text.includes(keyword.toLowerCase())) {
       return false;
     }
+
+    if (url) {
+      const target = url.toLowerCase();
+      const embedsUrl = (cast.embeds || []).some(embed => embed.url && embed.url.toLowerCase().startsWith(target));
+      if (!embedsUrl && !text.includes(target)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  // Scan the user's most recent casts (replies included) for one matching predicate
+  async findUserCast(userFid, predicate, description) {
+    const result = await this.findInPages(
+      options => this.provider.getUserCasts(userFid, options),
+      predicate,
+      this.maxRecentCasts
+    );
+    this.warnIfTruncated(result, `recent casts of ${userFid} for ${description}`);
+    return result.found;
+  }
+
+  async verifyCastReply(userFid, castHash) {
+    const hasReplied = await this.findUserCast(userFid, cast => this.isReplyTo(cast, castHash), `a reply to ${castHash}`);
+
+    console.log(`User ${userFid} replied to cast ${castHash}: ${hasReplied}`);
+    return hasReplied;
+  }
+
+  async verifyQuoteCast(userFid, castHash) {
+    const hasQuoted = await this.findUserCast(userFid, cast => this.isQuoteOf(cast, castHash), `a quote of ${castHash}`);
+
+    console.log(`User ${userFid} quoted cast ${castHash}: ${hasQuoted}`);
+    return hasQuoted;
+  }
+
+  async verifyCastWithMention(userFid, criteria) {
+    const hasCast = await this.findUserCast(userFid, cast => this.castMatchesCriteria(cast, criteria), 'a matching cast');
+
+    console.log(`User ${userFid} published a matching cast: ${hasCast}`);
+    return hasCast;
+  }
+
+  warnIfTruncated(result, description) {
+    if (!result.found && result.truncated) {
+      console.warn(`⚠️  Stopped scanning ${description} after ${result.scanned} entries`);
+    }
   }
 }
 
@@ -0,0 +1,195 @@
+// services/socialGraph/fixtureProvider.js
+const fs = require('fs');
+const path = require('path');
+
+// In-memory social-graph provider for tests and offline development.
+// Seed it from a JSON file (SOCIAL_GRAPH_FIXTURES) or through the add* helpers.
+class FixtureProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.reset();
+
+    const fixturesPath = options.fixturesPath || process.env.SOCIAL_GRAPH_FIXTURES;
+    const fixtures = options.fixtures || (fixturesPath ? this.loadFile(fixturesPath) : null);
+
+    if (fixtures) {
+      this.load(fixtures);
+    }
+  }
+
+  loadFile(fixturesPath) {
+    return JSON.parse(fs.readFileSync(path.resolve(fixturesPath), 'utf8'));
+  }
+
+  reset() {
+    this.users = [];
+    this.casts = [];
+    this.reactions = [];
+    this.follows = [];
+    this.channelMembers = [];
+    this.channelFollowers = [];
+  }
+
+  load(fixtures) {
+    (fixtures.users || []).forEach(user => this.addUser(user));
+    (fixtures.casts || []).forEach(cast => this.addCast(cast));
+    (fixtures.reactions || []).forEach(({ fid, castHash, type }) => this.addReaction(fid, castHash, type));
+    (fixtures.follows || []).forEach(({ fid, targetFid }) => this.addFollow(fid, targetFid));
+    (fixtures.channelMembers || []).forEach(({ channelId, fid }) => this.addChannelMember(channelId, fid));
+    (fixtures.channelFollowers || []).forEach(({ channelId, fid }) => this.addChannelFollower(channelId, fid));
+  }
+
+  addUser(user) {
+    this.users.push({
+      username: null,
+      display_name: null,
+      pfp_url: null,
+      follower_count: 0,
+      following_count: 0,
+      profile: { bio: { text: null } },
+      ...user
+    });
+  }
+
+  addCast(cast) {
+    this.casts.push({
+      text: '',
+      timestamp: new Date().toISOString(),
+      parent_hash: null,
+      embeds: [],
+      mentioned_profiles: [],
+      ...cast
+    });
+  }
+
+  addReaction(fid, castHash, type = 'like') {
+    this.reactions.push({ fid, castHash, type });
+  }
+
+  addFollow(fid, targetFid) {
+    this.follows.push({ fid, targetFid });
+  }
+
+  addChannelMember(channelId, fid) {
+    this.channelMembers.push({ channelId, fid });
+  }
+
+  addChannelFollower(channelId, fid) {
+    this.channelFollowers.push({ channelId, fid });
+  }
+
+  // Cursors are plain offsets into the filtered list
+  page(items, { limit = 100, cursor } = {}) {
+    const offset = cursor ? parseInt(cursor) : 0;
+    const next = offset + limit;
+
+    return {
+      items: items.slice(offset, next),
+      nextCursor: next < items.length ? String(next) : null
+    };
+  }
+
+  async getApiInfo() {
+    return { provider: this.name, users: this.users.length, casts: this.casts.length };
+  }
+
+  async getUserByUsername(username) {
+    return this.users.find(user => user.username === username) || null;
+  }
+
+  async getUserByFid(fid) {
+    return this.users.find(user => user.fid === Number(fid)) || null;
+  }
+
+  async getUserAddresses(fid) {
+    const user = await this.getUserByFid(fid);
+    if (!user) {
+      return null;
+    }
+
+    return {
+      custodyAddress: user.custody_address || null,
+      verifiedAddresses: user.verified_addresses?.eth_addresses || []
+    };
+  }
+
+  async getCast(hash) {
+    return this.casts.find(cast => cast.hash === hash) || null;
+  }
+
+  async hasReaction(fid, hash, type) {
+    return this.reactions.some(reaction =>
+      reaction.fid === Number(fid) && reaction.castHash === hash && reaction.type === type
+    );
+  }
+
+  async isFollowing(fid, targetFid) {
+    return this.follows.some(follow => follow.fid === Number(fid) && follow.targetFid === Number(targetFid));
+  }
+
+  async isChannelMember(fid, channelId) {
+    return [...this.channelMembers, ...this.channelFollowers].some(entry =>
+      entry.fid === Number(fid) && entry.channelId === channelId
+    );
+  }
+
+  async getCastReactions(hash, type, options) {
+    const reactions = this.reactions
+      .filter(reaction => reaction.castHash === hash && reaction.type === type)
+      .map(reaction => ({ fid: reaction.fid }));
+
+    return this.page(reactions, options);
+  }
+
+  async getUserCasts(fid, options) {
+    const casts = this.casts
+      .filter(cast => cast.author && cast.author.fid === Number(fid))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    return this.page(casts, options);
+  }
+
+  async getUserFollowing(fid, options) {
+    const following = this.follows
+      .filter(follow => follow.fid === Number(fid))
+      .map(follow => ({ fid: follow.targetFid }));
+
+    return this.page(following, options);
+  }
+
+  async getUserFollowers(fid, options) {
+    const followers = this.follows
+      .filter(follow => follow.targetFid === Number(fid))
+      .map(follow => ({ fid: follow.fid }));
+
+    return this.page(followers, options);
+  }
+
+  async getChannelMembers(channelId, options) {
+    const members = this.channelMembers
+      .filter(member => member.channelId === channelId)
+      .map(member => ({ fid: member.fid }));
+
+    return this.page(members, options);
+  }
+
+  async getChannelFollowers(channelId, options) {
+    const followers = this.channelFollowers
+      .filter(follower => follower.channelId === channelId)
+      .map(follower => ({ fid: follower.fid }));
+
+    return this.page(followers, options);
+  }
+
+  async getUserChannels(fid, options) {
+    const channelIds = new Set(
+      [...this.channelMembers, ...this.channelFollowers]
+        .filter(entry => entry.fid === Number(fid))
+        .map(entry => entry.channelId)
+    );
+
+    return this.page([...channelIds].map(id => ({ id })), options);
+  }
+}
+
+module.exports = FixtureProvider;
\ No newline at end of file
@@ -0,0 +1,253 @@
+// services/socialGraph/hubProvider.js
+const axios = require('axios');
+
+// Farcaster timestamps are seconds since 2021-01-01T00:00:00Z
+const FARCASTER_EPOCH = 1609459200;
+
+const USER_DATA_FIELDS = {
+  USER_DATA_TYPE_PFP: 'pfp_url',
+  USER_DATA_TYPE_DISPLAY: 'display_name',
+  USER_DATA_TYPE_BIO: 'bio',
+  USER_DATA_TYPE_USERNAME: 'username'
+};
+
+// Social-graph provider backed by a Farcaster Hub HTTP API.
+// Hubs address casts by (fid, hash), so cast references must be given as "<fid>:<hash>".
+// Channels and follower counts are not part of the hub protocol: channel lookups throw an
+// UNSUPPORTED error instead of reading as "not a member", and users come back with
+// follower_count / following_count set to null.
+class HubProvider {
+  constructor(options = {}) {
+    this.name = 'hub';
+    this.baseURL = options.baseURL || process.env.FARCASTER_HUB_URL || 'https://hub.pinata.cloud';
+    this.apiKey = options.apiKey || process.env.FARCASTER_HUB_API_KEY;
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['x-api-key'] = this.apiKey;
+    }
+    return headers;
+  }
+
+  async get(path, params) {
+    try {
+      const response = await axios.get(`${this.baseURL}${path}`, {
+        params,
+        headers: this.getHeaders()
+      });
+      return response.data;
+    } catch (error) {
+      // Only "not found" answers are null: a 404, or the 400 some hubs send with errCode
+      // not_found. Anything else, a malformed request included, is an error, so it isn't
+      // read and cached as a negative result.
+      if (error.response && (error.response.status === 404 || error.response.data?.errCode === 'not_found')) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  unsupported(operation) {
+    const error = new Error(`The hub social graph provider does not support ${operation}`);
+    error.code = 'UNSUPPORTED';
+    return error;
+  }
+
+  page(items, data) {
+    return {
+      items,
+      nextCursor: data?.nextPageToken || null
+    };
+  }
+
+  parseCastId(castId) {
+    const [fid, hash] = String(castId).split(':');
+    if (!hash || isNaN(parseInt(fid))) {
+      return null;
+    }
+    return { fid: parseInt(fid), hash };
+  }
+
+  toCast(message) {
+    const body = message.data.castAddBody;
+
+    return {
+      hash: message.hash,
+      text: body.text,
+      author: { fid: message.data.fid },
+      timestamp: new Date((FARCASTER_EPOCH + message.data.timestamp) * 1000).toISOString(),
+      parent_hash: body.parentCastId ? body.parentCastId.hash : null,
+      parent_author: body.parentCastId ? { fid: body.parentCastId.fid } : null,
+      parent_url: body.parentUrl || null,
+      embeds: (body.embeds || []).map(embed => embed.castId
+        ? { cast_id: { fid: embed.castId.fid, hash: embed.castId.hash } }
+        : { url: embed.url }),
+      mentioned_profiles: (body.mentions || []).map(fid => ({ fid }))
+    };
+  }
+
+  async getApiInfo() {
+    return this.get('/v1/info');
+  }
+
+  async getUserByUsername(username) {
+    const proof = await this.get('/v1/userNameProofByName', { name: username });
+    if (!proof || !proof.fid) {
+      return null;
+    }
+    return this.getUserByFid(proof.fid);
+  }
+
+  async getUserByFid(fid) {
+    const data = await this.get('/v1/userDataByFid', { fid });
+    if (!data || !data.messages || data.messages.length === 0) {
+      return null;
+    }
+
+    const user = {
+      fid: Number(fid),
+      username: null,
+      display_name: null,
+      pfp_url: null,
+      // Hubs don't aggregate follower counts
+      follower_count: null,
+      following_count: null,
+      profile: { bio: { text: null } }
+    };
+
+    for (const message of data.messages) {
+      const body = message.data.userDataBody;
+      const field = USER_DATA_FIELDS[body.type];
+      if (field === 'bio') {
+        user.profile.bio.text = body.value;
+      } else if (field) {
+        user[field] = body.value;
+      }
+    }
+
+    return user;
+  }
+
+  // Custody address from the IdRegistry event, plus Ethereum address verifications
+  async getUserAddresses(fid) {
+    const registration = await this.get('/v1/onChainIdRegistryEventByFid', { fid });
+    const custodyAddress = registration?.idRegisterEventBody?.to || null;
+
+    const data = await this.get('/v1/verificationsByFid', { fid });
+    const verifiedAddresses = (data?.messages || [])
+      .map(message => message.data.verificationAddAddressBody)
+      .filter(body => body && body.protocol !== 'PROTOCOL_SOLANA')
+      .map(body => body.address);
+
+    if (!custodyAddress && verifiedAddresses.length === 0) {
+      return null;
+    }
+
+    return { custodyAddress, verifiedAddresses };
+  }
+
+  async getCast(castId) {
+    const id = this.parseCastId(castId);
+    if (!id) {
+      console.warn(`Hub provider needs casts as "<fid>:<hash>", got ${castId}`);
+      return null;
+    }
+
+    const message = await this.get('/v1/castById', { fid: id.fid, hash: id.hash });
+    return message ? this.toCast(message) : null;
+  }
+
+  async hasReaction(fid, castId, type) {
+    const id = this.parseCastId(castId);
+    if (!id) {
+      return null;
+    }
+
+    const message = await this.get('/v1/reactionById', {
+      fid,
+      reaction_type: type === 'recast' ? 'REACTION_TYPE_RECAST' : 'REACTION_TYPE_LIKE',
+      target_fid: id.fid,
+      target_hash: id.hash
+    });
+    return Boolean(message);
+  }
+
+  async isFollowing(fid, targetFid) {
+    const message = await this.get('/v1/linkById', {
+      fid,
+      target_fid: targetFid,
+      link_type: 'follow'
+    });
+    return Boolean(message);
+  }
+
+  async getCastReactions(castId, type, { limit = 100, cursor } = {}) {
+    const id = this.parseCastId(castId);
+    if (!id) {
+      return this.page([], null);
+    }
+
+    const data = await this.get('/v1/reactionsByCast', {
+      target_fid: id.fid,
+      target_hash: id.hash,
+      reaction_type: type === 'recast' ? 'REACTION_TYPE_RECAST' : 'REACTION_TYPE_LIKE',
+      pageSize: limit,
+      pageToken: cursor
+    });
+
+    return this.page((data?.messages || []).map(message => ({ fid: message.data.fid })), data);
+  }
+
+  async getUserCasts(fid, { limit = 100, cursor } = {}) {
+    const data = await this.get('/v1/castsByFid', {
+      fid,
+      pageSize: limit,
+      pageToken: cursor,
+      reverse: true
+    });
+
+    const casts = (data?.messages || [])
+      .filter(message => message.data.castAddBody)
+      .map(message => this.toCast(message));
+
+    return this.page(casts, data);
+  }
+
+  async getUserFollowing(fid, { limit = 100, cursor } = {}) {
+    const data = await this.get('/v1/linksByFid', {
+      fid,
+      link_type: 'follow',
+      pageSize: limit,
+      pageToken: cursor
+    });
+
+    return this.page((data?.messages || []).map(message => ({ fid: message.data.linkBody.targetFid })), data);
+  }
+
+  async getUserFollowers(fid, { limit = 100, cursor } = {}) {
+    const data = await this.get('/v1/linksByTargetFid', {
+      target_fid: fid,
+      link_type: 'follow',
+      pageSize: limit,
+      pageToken: cursor
+    });
+
+    return this.page((data?.messages || []).map(message => ({ fid: message.data.fid })), data);
+  }
+
+  async getChannelMembers() {
+    throw this.unsupported('channel members');
+  }
+
+  async getChannelFollowers() {
+    throw this.unsupported('channel followers');
+  }
+
+  async getUserChannels() {
+    throw this.unsupported('user channels');
+  }
+}
+
+module.exports = HubProvider;
\ No newline at end of file
@@ -0,0 +1,44 @@
+// services/socialGraph/index.js
+const NeynarProvider = require('./neynarProvider');
+const HubProvider = require('./hubProvider');
+const FixtureProvider = require('./fixtureProvider');
+
+// Every provider implements the same interface:
+//   getApiInfo()
+//   getUserByUsername(username) / getUserByFid(fid)   -> user | null
+//   getUserAddresses(fid)                              -> { custodyAddress, verifiedAddresses: [] } | null
+//   getCast(hash)                                      -> cast | null
+//   getCastReactions(hash, 'like' | 'recast', opts)    -> { items: [{ fid }], nextCursor }
+//   getUserCasts(fid, opts)                            -> { items: [cast], nextCursor }, newest first, replies included
+//   getUserFollowing(fid, opts) / getUserFollowers(fid, opts)
+//   getChannelMembers(channelId, opts) / getChannelFollowers(channelId, opts)
+//   getUserChannels(fid, opts)
+// where opts is { limit, cursor }. Lookups resolve to null when nothing is found
+// and throw on transport errors. Operations a provider can't serve throw an error with
+// code 'UNSUPPORTED'; data it can't provide (e.g. follower_count) is null.
+//
+// Providers may also offer point lookups, used instead of scanning lists:
+//   hasReaction(fid, hash, type), isFollowing(fid, targetFid), isChannelMember(fid, channelId)
+// resolving to true / false, or null when the answer isn't available.
+const providers = {
+  neynar: NeynarProvider,
+  hub: HubProvider,
+  fixture: FixtureProvider
+};
+
+function createSocialGraphProvider(name = process.env.SOCIAL_GRAPH_PROVIDER || 'neynar', options = {}) {
+  const Provider = providers[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown social graph provider "${name}" (expected one of: ${Object.keys(providers).join(', ')})`);
+  }
+
+  return new Provider(options);
+}
+
+module.exports = {
+  createSocialGraphProvider,
+  NeynarProvider,
+  HubProvider,
+  FixtureProvider
+};
\ No newline at end of file
@@ -0,0 +1,137 @@
+// services/socialGraph/neynarProvider.js
+const axios = require('axios');
+
+// Social-graph provider backed by Neynar's Snapchain API.
+// Neynar's response shapes are the normalised shapes the rest of the app uses.
+class NeynarProvider {
+  constructor(options = {}) {
+    this.name = 'neynar';
+    this.baseURL = options.baseURL || process.env.SNAPCHAIN_API_URL || 'https://snapchain-api.neynar.com';
+    this.apiKey = options.apiKey || process.env.SNAPCHAIN_API_KEY;
+
+    if (!this.apiKey) {
+      console.warn('SNAPCHAIN_API_KEY not found in environment variables');
+    }
+  }
+
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey
+    };
+  }
+
+  // GET helper; resolves to null when the resource doesn't exist
+  async get(path, params) {
+    try {
+      const response = await axios.get(`${this.baseURL}${path}`, {
+        params,
+        headers: this.getHeaders()
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  page(items, data) {
+    return {
+      items,
+      nextCursor: data?.next?.cursor || null
+    };
+  }
+
+  async getApiInfo() {
+    return this.get('/v1/info');
+  }
+
+  async getUserByUsername(username) {
+    const data = await this.get('/v1/user/by-username', { username });
+    return data?.user || null;
+  }
+
+  async getUserByFid(fid) {
+    const data = await this.get('/v1/user', { fid });
+    return data?.user || null;
+  }
+
+  async getUserAddresses(fid) {
+    const user = await this.getUserByFid(fid);
+    if (!user) {
+      return null;
+    }
+
+    return {
+      custodyAddress: user.custody_address || null,
+      verifiedAddresses: user.verified_addresses?.eth_addresses || []
+    };
+  }
+
+  async getCast(hash) {
+    const data = await this.get('/v1/cast', { hash });
+    return data?.cast || null;
+  }
+
+  // Point lookups through the viewer context; null when the API doesn't report it
+  async hasReaction(fid, hash, type) {
+    const data = await this.get('/v1/cast', { hash, viewer_fid: fid });
+    const context = data?.cast?.viewer_context;
+    if (!context) {
+      return null;
+    }
+    return Boolean(type === 'recast' ? context.recasted : context.liked);
+  }
+
+  async isFollowing(fid, targetFid) {
+    const data = await this.get('/v1/user', { fid: targetFid, viewer_fid: fid });
+    const context = data?.user?.viewer_context;
+    if (!context) {
+      return null;
+    }
+    return Boolean(context.following);
+  }
+
+  // type is 'like' or 'recast'; items are { fid }
+  async getCastReactions(hash, type, { limit = 100, cursor } = {}) {
+    const path = type === 'recast' ? '/v1/cast/recasts' : '/v1/cast/likes';
+    const data = await this.get(path, { hash, limit, cursor });
+    const reactions = (type === 'recast' ? data?.recasts : data?.likes) || [];
+
+    return this.page(reactions.map(reaction => ({ fid: reaction.user.fid })), data);
+  }
+
+  async getUserCasts(fid, { limit = 100, cursor } = {}) {
+    const data = await this.get('/v1/feed/user/casts', { fid, limit, cursor, include_replies: true });
+    return this.page(data?.casts || [], data);
+  }
+
+  async getUserFollowing(fid, { limit = 100, cursor } = {}) {
+    const data = await this.get('/v1/user/following', { fid, limit, cursor });
+    return this.page(data?.users || [], data);
+  }
+
+  async getUserFollowers(fid, { limit = 100, cursor } = {}) {
+    const data = await this.get('/v1/user/followers', { fid, limit, cursor });
+    return this.page(data?.users || [], data);
+  }
+
+  async getChannelMembers(channelId, { limit = 100, cursor } = {}) {
+    const data = await this.get('/v1/channel/members', { id: channelId, limit, cursor });
+    return this.page(data?.members || [], data);
+  }
+
+  async getChannelFollowers(channelId, { limit = 100, cursor } = {}) {
+    const data = await this.get('/v1/channel/followers', { id: channelId, limit, cursor });
+    return this.page(data?.users || [], data);
+  }
+
+  async getUserChannels(fid, { limit = 100, cursor } = {}) {
+    const data = await this.get('/v1/user/channels', { fid, limit, cursor });
+    return this.page(data?.channels || [], data);
+  }
+}
+
+module.exports = NeynarProvider;
\ No newline at end of file
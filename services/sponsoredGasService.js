@@ -138,7 +138,22 @@ class SponsoredGasService {
     }
   }
 
-  async prepareSponsoredClaim(contractAddress, taskId, rewardAmount, signature, userAddress) {
+  // Calldata for the claim; EIP-712 claims (with nonce + deadline) go through claimRewardWithPermit
+  encodeClaimCallData(taskId, rewardAmount, signature, permit = null) {
+    const contractABI = [
+      "function claimReward(uint256 taskId, uint256 rewardAmount, bytes calldata signature) external",
+      "function claimRewardWithPermit(uint256 taskId, uint256 rewardAmount, uint256 nonce, uint256 deadline, bytes calldata signature) external"
+    ];
+
+    const iface = new ethers.Interface(contractABI);
+
+    if (permit && permit.nonce !== null && permit.nonce !== undefined) {
+      return iface.encodeFunctionData("claimRewardWithPermit", [taskId, rewardAmount, permit.nonce, permit.deadline, signature]);
+    }
+    return iface.encodeFunctionData("claimReward", [taskId, rewardAmount, signature]);
+  }
+
+  async prepareSponsoredClaim(contractAddress, taskId, rewardAmount, signature, userAddress, permit = null) {
     if (!this.enabled) {
       return {
         sponsored: false,
@@ -147,12 +162,7 @@ class SponsoredGasService {
     }
 
     try {
-      const contractABI = [
-        "function claimReward(uint256 taskId, uint256 rewardAmount, bytes calldata signature) external"
-      ];
-      
-      const iface = new ethers.Interface(contractABI);
-      const callData = iface.encodeFunctionData("claimReward", [taskId, rewardAmount, signature]);
+      const callData = this.encodeClaimCallData(taskId, rewardAmount, signature, permit);
       
       // Create user operation
       const userOp = this.createUserOperation(userAddress, callData);
@@ -0,0 +1,198 @@
+// services/taskFundingService.js
+const { ethers } = require('ethers');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const contractService = require('./contractService');
+
+const DEFAULT_REWARD_WEI = '1000000000000000'; // 0.001 ETH
+
+class TaskFundingService {
+  constructor() {
+    // Per-participant reward bounds; ETH in wei, tokens in whole units
+    this.rewardBounds = {
+      minWei: BigInt(process.env.MIN_REWARD_PER_PARTICIPANT_WEI || '100000000000000'), // 0.0001 ETH
+      maxWei: BigInt(process.env.MAX_REWARD_PER_PARTICIPANT_WEI || '1000000000000000000'), // 1 ETH
+      minToken: process.env.MIN_TOKEN_REWARD_PER_PARTICIPANT || '0.01',
+      maxToken: process.env.MAX_TOKEN_REWARD_PER_PARTICIPANT || '1000'
+    };
+
+    // Optional allowlist of ERC-20 reward tokens (comma separated)
+    this.allowedTokens = (process.env.ALLOWED_REWARD_TOKENS || '')
+      .split(',')
+      .map(address => address.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  // Work out the reward, token and total funding for a new task.
+  // Returns { error } when the creator's numbers are out of bounds.
+  async priceTask({ rewardPerParticipant, rewardTokenAddress, maxParticipants, creatorAddress }) {
+    if (!rewardTokenAddress) {
+      const reward = BigInt(rewardPerParticipant || DEFAULT_REWARD_WEI);
+      const { minWei, maxWei } = this.rewardBounds;
+
+      if (reward < minWei || reward > maxWei) {
+        return {
+          error: `Reward per participant must be between ${ethers.formatEther(minWei)} and ${ethers.formatEther(maxWei)} ETH`
+        };
+      }
+
+      return {
+        rewardPerParticipant: reward.toString(),
+        totalFunding: (reward * BigInt(maxParticipants)).toString(),
+        rewardToken: { address: null, symbol: 'ETH', decimals: 18 },
+        needsApproval: false
+      };
+    }
+
+    if (this.allowedTokens.length > 0 && !this.allowedTokens.includes(rewardTokenAddress.toLowerCase())) {
+      return { error: 'Reward token is not supported' };
+    }
+
+    if (!rewardPerParticipant) {
+      return { error: 'Reward per participant is required for token rewards' };
+    }
+
+    let token;
+    try {
+      token = await contractService.getTokenInfo(rewardTokenAddress);
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    // Compared in 18-decimal fixed point, so bounds finer than the token's own precision
+    // (e.g. 0.01 of a 0-decimal token) still work
+    const reward = BigInt(rewardPerParticipant);
+    const tokenUnit = 10n ** BigInt(token.decimals);
+    const minReward = ethers.parseUnits(this.rewardBounds.minToken, 18) * tokenUnit;
+    const maxReward = ethers.parseUnits(this.rewardBounds.maxToken, 18) * tokenUnit;
+    const scaledReward = reward * 10n ** 18n;
+
+    if (scaledReward < minReward || scaledReward > maxReward) {
+      return {
+        error: `Reward per participant must be between ${this.rewardBounds.minToken} and ${this.rewardBounds.maxToken} ${token.symbol}`
+      };
+    }
+
+    const totalFunding = reward * BigInt(maxParticipants);
+
+    // The creator's wallet must hold the tokens before we hand out a funding transaction
+    const fundingStatus = await contractService.getTokenFundingStatus(token.address, creatorAddress, totalFunding);
+    if (!fundingStatus.hasBalance) {
+      return {
+        error: `Insufficient ${token.symbol} balance. Required: ${ethers.formatUnits(totalFunding, token.decimals)}, Available: ${ethers.formatUnits(fundingStatus.balance, token.decimals)}`
+      };
+    }
+
+    return {
+      rewardPerParticipant: reward.toString(),
+      totalFunding: totalFunding.toString(),
+      rewardToken: token,
+      needsApproval: fundingStatus.needsApproval
+    };
+  }
+
+  // Does a TaskCreated / TokenTaskCreated event fund this task exactly as it was priced?
+  matchesTask(task, event) {
+    const taskToken = task.rewardToken && task.rewardToken.address
+      ? task.rewardToken.address.toLowerCase()
+      : null;
+    const eventToken = event.token ? event.token.toLowerCase() : null;
+
+    return task.fundingAddress === event.creator.toLowerCase() &&
+      taskToken === eventToken &&
+      task.totalFunding === event.totalFunding.toString() &&
+      task.rewardPerParticipant === event.rewardPerDev.toString() &&
+      task.maxParticipants === Number(event.maxParticipants);
+  }
+
+  // Activate a specific task from a TaskCreated event; returns null if it doesn't match
+  async activateTask(task, event) {
+    try {
+      if (!this.matchesTask(task, event)) {
+        return null;
+      }
+
+      const activatedTask = await Task.findOneAndUpdate(
+        { _id: task._id, status: 'PENDING_FUNDING' },
+        {
+          $set: {
+            status: 'ACTIVE',
+            contractTaskId: Number(event.contractTaskId),
+            transactionHash: event.transactionHash.toLowerCase(),
+            creationBlockNumber: event.blockNumber,
+            fundedAt: new Date()
+          }
+        },
+        { new: true }
+      );
+
+      if (!activatedTask) {
+        return null;
+      }
+
+      await User.findByIdAndUpdate(activatedTask.creator, {
+        $inc: { totalTasksCreated: 1 }
+      });
+
+      console.log(`🎉 Task ${activatedTask._id} funded on-chain as contract task ${activatedTask.contractTaskId}`);
+      return activatedTask;
+    } catch (error) {
+      console.error('Error activating task:', error);
+      throw error;
+    }
+  }
+
+  // Find the oldest pending task from this creator that the event pays for
+  async activateFromEvent(event) {
+    const existing = await Task.findOne({ contractTaskId: Number(event.contractTaskId) });
+    if (existing) {
+      return existing;
+    }
+
+    const candidates = await Task.find({
+      status: 'PENDING_FUNDING',
+      fundingAddress: event.creator.toLowerCase(),
+      totalFunding: event.totalFunding.toString(),
+      maxParticipants: Number(event.maxParticipants)
+    }).sort({ createdAt: 1 });
+
+    for (const task of candidates) {
+      const activatedTask = await this.activateTask(task, event);
+      if (activatedTask) {
+        return activatedTask;
+      }
+    }
+
+    console.warn(`⚠️  TaskCreated ${event.contractTaskId} from ${event.creator} matches no pending task`);
+    return null;
+  }
+
+  // Put tasks funded in orphaned blocks back into the funding queue
+  async revertAfterBlock(blockNumber) {
+    const tasks = await Task.find({
+      status: 'ACTIVE',
+      creationBlockNumber: { $gt: blockNumber }
+    });
+
+    for (const task of tasks) {
+      await Task.updateOne(
+        { _id: task._id, status: 'ACTIVE' },
+        {
+          $set: {
+            status: 'PENDING_FUNDING',
+            contractTaskId: null,
+            transactionHash: null,
+            creationBlockNumber: null,
+            fundedAt: null
+          }
+        }
+      );
+      await User.findByIdAndUpdate(task.creator, {
+        $inc: { totalTasksCreated: -1 }
+      });
+      console.log(`↩️  Funding of task ${task._id} reverted`);
+    }
+  }
+}
+
+module.exports = new TaskFundingService();
\ No newline at end of file
@@ -0,0 +1,364 @@
+// services/taskLifecycleService.js
+const Task = require('../models/Task');
+const Participant = require('../models/Participant');
+const contractService = require('./contractService');
+const claimTicketService = require('./claimTicketService');
+
+// Moves ACTIVE tasks to COMPLETED once they expire or fill up, expires whatever is
+// still unclaimed after a grace period, then withdraws the leftover funds to the creator.
+// PAUSED tasks are left alone until staff resume them. Also drives on-chain cancellation.
+class TaskLifecycleService {
+  constructor() {
+    this.enabled = process.env.TASK_LIFECYCLE_ENABLED !== 'false';
+    this.intervalMs = parseInt(process.env.TASK_LIFECYCLE_INTERVAL_MS || '60000');
+    this.claimGracePeriodHours = parseInt(process.env.TASK_CLAIM_GRACE_PERIOD_HOURS || '72');
+    this.refundMaxAttempts = parseInt(process.env.TASK_REFUND_MAX_ATTEMPTS || '5');
+    this.refundRetryDelayMs = parseInt(process.env.TASK_REFUND_RETRY_DELAY_MS || '300000');
+    this.batchSize = parseInt(process.env.TASK_LIFECYCLE_BATCH_SIZE || '20');
+    // How long DELETE /api/tasks/:id waits for the cancel transaction before handing it to the scheduler
+    this.cancelConfirmationTimeoutMs = parseInt(process.env.TASK_CANCEL_CONFIRMATION_TIMEOUT_MS || '60000');
+
+    this.timer = null;
+    this.running = false;
+
+    console.log(`⏳ Task lifecycle scheduler ${this.enabled ? 'ENABLED' : 'DISABLED'}`);
+  }
+
+  start() {
+    if (!this.enabled || this.timer) {
+      return;
+    }
+
+    console.log(`⏳ Checking task lifecycles every ${this.intervalMs}ms (${this.claimGracePeriodHours}h claim grace period)`);
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.completeTasks();
+      await this.expireUnclaimedParticipants();
+      await this.processRefunds();
+    } catch (error) {
+      console.error('Task lifecycle error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async completeTask(taskId, reason) {
+    const task = await Task.findOneAndUpdate(
+      { _id: taskId, status: 'ACTIVE' },
+      { $set: { status: 'COMPLETED', completedAt: new Date(), completionReason: reason } },
+      { new: true }
+    );
+
+    if (task) {
+      console.log(`🏁 Task ${task._id} completed (${reason.toLowerCase()})`);
+    }
+    return task;
+  }
+
+  async completeTasks() {
+    const expiredTasks = await Task.find({ status: 'ACTIVE', expiresAt: { $lte: new Date() } })
+      .select('_id')
+      .limit(this.batchSize);
+
+    for (const task of expiredTasks) {
+      await this.completeTask(task._id, 'EXPIRED');
+    }
+
+    // Waitlisted tasks stay open until they expire: a rejection can still free up a slot
+    const filledTasks = await Task.find({
+      status: 'ACTIVE',
+      'waitlist.enabled': { $ne: true },
+      $expr: { $gte: ['$currentParticipants', '$maxParticipants'] }
+    })
+      .select('_id')
+      .limit(this.batchSize);
+
+    for (const task of filledTasks) {
+      await this.completeTask(task._id, 'FILLED');
+    }
+  }
+
+  // Revoke live claim tickets and expire everyone who can no longer be paid
+  async expireParticipants(task, note) {
+    const verifiedParticipants = await Participant.find({ task: task._id, status: 'VERIFIED' }).select('_id');
+    for (const participant of verifiedParticipants) {
+      await claimTicketService.revokeLiveTicket(participant._id, { reason: note });
+    }
+
+    const result = await Participant.updateMany(
+      { task: task._id, status: { $in: ['WAITLISTED', 'PENDING', 'VERIFIED'] } },
+      { $set: { status: 'EXPIRED', verificationNotes: note } }
+    );
+
+    await Task.updateOne({ _id: task._id }, { $set: { participantsExpiredAt: new Date(), 'waitlist.count': 0 } });
+
+    return result.modifiedCount;
+  }
+
+  // After the grace period nobody can claim any more: live tickets are revoked,
+  // PENDING and VERIFIED participants expire, and the refund is queued.
+  async expireUnclaimedParticipants() {
+    const graceCutoff = new Date(Date.now() - this.claimGracePeriodHours * 60 * 60 * 1000);
+
+    const tasks = await Task.find({
+      status: 'COMPLETED',
+      completedAt: { $lte: graceCutoff },
+      participantsExpiredAt: null
+    }).limit(this.batchSize);
+
+    for (const task of tasks) {
+      try {
+        const expired = await this.expireParticipants(task, 'Claim period ended before the reward was claimed');
+
+        await Task.updateOne(
+          { _id: task._id },
+          {
+            $set: {
+              'refund.status': 'PENDING',
+              'refund.reason': 'LEFTOVER',
+              'refund.nextAttemptAt': new Date()
+            }
+          }
+        );
+
+        console.log(`⌛ Task ${task._id}: ${expired} unclaimed participants expired, refund queued`);
+      } catch (error) {
+        console.error(`Error expiring participants of task ${task._id}:`, error.message);
+      }
+    }
+  }
+
+  // Cancel a task: claims stop right away, then the contract refunds what's left to the
+  // creator. A failed or unconfirmed on-chain cancel leaves the task CANCELLING; the
+  // scheduler retries it, and so does calling this again. Returns the updated task,
+  // or null when the task can't be cancelled from its current status.
+  async cancelTask(task, cancelledBy) {
+    // Never funded: nothing on-chain to undo
+    if (task.contractTaskId === null || task.contractTaskId === undefined) {
+      return Task.findOneAndUpdate(
+        { _id: task._id, status: { $in: ['DRAFT', 'PENDING_FUNDING'] } },
+        { $set: { status: 'CANCELLED', cancelledAt: new Date(), cancelledBy } },
+        { new: true }
+      );
+    }
+
+    let cancellingTask = await Task.findOneAndUpdate(
+      { _id: task._id, status: { $in: ['ACTIVE', 'PAUSED'] } },
+      {
+        $set: {
+          status: 'CANCELLING',
+          cancelledAt: new Date(),
+          cancelledBy,
+          refund: { status: 'PENDING', reason: 'CANCELLATION', attempts: 0, nextAttemptAt: new Date() }
+        }
+      },
+      { new: true }
+    );
+
+    if (cancellingTask) {
+      const expired = await this.expireParticipants(cancellingTask, 'Task was cancelled');
+      console.log(`🛑 Task ${task._id} cancelling, ${expired} unclaimed participants expired`);
+    } else {
+      // Retry a cancellation whose on-chain call failed
+      cancellingTask = await Task.findOneAndUpdate(
+        { _id: task._id, status: 'CANCELLING', 'refund.status': { $in: ['PENDING', 'FAILED'] } },
+        { $set: { 'refund.status': 'PENDING', 'refund.attempts': 0, 'refund.nextAttemptAt': new Date() } },
+        { new: true }
+      );
+
+      if (!cancellingTask) {
+        return task.status === 'CANCELLING' ? Task.findById(task._id) : null;
+      }
+    }
+
+    const transactionHash = await this.sendRefund(cancellingTask);
+    if (transactionHash) {
+      const result = await contractService.waitForRefund(transactionHash, this.cancelConfirmationTimeoutMs);
+      await this.handleRefundResult(await Task.findById(task._id), result);
+    }
+
+    return Task.findById(task._id);
+  }
+
+  async processRefunds() {
+    const sentRefunds = await Task.find({ 'refund.status': 'SENT' }).limit(this.batchSize);
+    for (const task of sentRefunds) {
+      await this.checkRefund(task);
+    }
+
+    const dueRefunds = await Task.find({
+      'refund.status': 'PENDING',
+      'refund.nextAttemptAt': { $lte: new Date() }
+    }).limit(this.batchSize);
+    for (const task of dueRefunds) {
+      await this.sendRefund(task);
+    }
+  }
+
+  // Whether the contract shows the refund already happened: a cancelled task is no longer
+  // active, and a task whose leftover was withdrawn (or fully claimed) holds nothing
+  async isRefundedOnChain(task) {
+    if (task.refund.reason === 'CANCELLATION') {
+      const details = await contractService.getTaskDetails(task.contractTaskId);
+      return !details.isActive;
+    }
+
+    const remaining = await contractService.getRemainingFunds(task.contractTaskId);
+    return BigInt(remaining) === 0n;
+  }
+
+  // Send the transaction for a PENDING refund. Returns its hash, or null when nothing
+  // was sent (already refunded, picked up by someone else, or the send failed).
+  // Cancellations are sent even when nothing is left, so the contract stops accepting claims.
+  async sendRefund(task) {
+    const cancellation = task.refund.reason === 'CANCELLATION';
+
+    try {
+      if (await this.isRefundedOnChain(task)) {
+        await this.confirmRefund(task, { amount: cancellation ? null : '0', transactionHash: null }, 'PENDING');
+        console.log(cancellation ? `💸 Task ${task._id} is already cancelled on-chain` : `💸 Task ${task._id} has no leftover funds`);
+        return null;
+      }
+
+      // Claim the refund before sending, so an overlapping run can't send it twice
+      const claimed = await Task.findOneAndUpdate(
+        { _id: task._id, 'refund.status': 'PENDING' },
+        { $set: { 'refund.status': 'SENT', 'refund.sentAt': new Date() }, $inc: { 'refund.attempts': 1 } },
+        { new: true }
+      );
+      if (!claimed) {
+        return null;
+      }
+
+      let transactionHash;
+      try {
+        transactionHash = cancellation
+          ? await contractService.sendCancelTask(task.contractTaskId)
+          : await contractService.sendWithdrawRemainingFunds(task.contractTaskId);
+      } catch (error) {
+        await this.failRefund(claimed, error.message);
+        return null;
+      }
+
+      await Task.updateOne({ _id: task._id }, { $set: { 'refund.transactionHash': transactionHash } });
+      console.log(`💸 ${cancellation ? 'Cancellation' : 'Refund'} sent for task ${task._id}: ${transactionHash}`);
+
+      return transactionHash;
+    } catch (error) {
+      // Failed before anything was sent (e.g. the RPC is down): back off like a failed send
+      console.error(`Error refunding task ${task._id}:`, error.message);
+      await this.failRefund(task, error.message, 'PENDING');
+      return null;
+    }
+  }
+
+  async checkRefund(task) {
+    // Sent, but the hash never got recorded. Sending again would revert if the first one
+    // went through, so ask the contract before retrying.
+    if (!task.refund.transactionHash) {
+      try {
+        if (await this.isRefundedOnChain(task)) {
+          return this.confirmRefund(task, { amount: null, transactionHash: null }, 'SENT');
+        }
+      } catch (error) {
+        console.error(`Error checking refund of task ${task._id}:`, error.message);
+        return;
+      }
+      return this.failRefund(task, 'Refund transaction was not recorded');
+    }
+
+    try {
+      const result = await contractService.getRefundFromTransaction(task.refund.transactionHash);
+      await this.handleRefundResult(task, result);
+    } catch (error) {
+      console.error(`Error checking refund of task ${task._id}:`, error.message);
+    }
+  }
+
+  async handleRefundResult(task, result) {
+    if (result.status === 'PENDING') {
+      return;
+    }
+
+    if (result.status !== 'CONFIRMED') {
+      return this.failRefund(task, result.reason);
+    }
+
+    await this.confirmRefund(task, result, 'SENT');
+  }
+
+  // A confirmed cancellation refund also finishes the cancellation
+  async confirmRefund(task, { amount, transactionHash }, fromStatus) {
+    const update = {
+      'refund.status': 'CONFIRMED',
+      'refund.amount': amount,
+      'refund.transactionHash': transactionHash,
+      'refund.confirmedAt': new Date(),
+      'refund.lastError': null
+    };
+    if (task.refund.reason === 'CANCELLATION') {
+      update.status = 'CANCELLED';
+    }
+
+    const result = await Task.updateOne({ _id: task._id, 'refund.status': fromStatus }, { $set: update });
+
+    if (result.modifiedCount > 0) {
+      console.log(`✅ Refund confirmed for task ${task._id}: ${amount !== null ? amount : 'amount not recorded'}`);
+    }
+  }
+
+  // Sending a refund counts as an attempt; a failure before sending (fromStatus PENDING) counts one here
+  async failRefund(task, message, fromStatus = 'SENT') {
+    const attempts = fromStatus === 'SENT' ? task.refund.attempts : task.refund.attempts + 1;
+    const exhausted = attempts >= this.refundMaxAttempts;
+
+    const update = {
+      $set: {
+        'refund.status': exhausted ? 'FAILED' : 'PENDING',
+        'refund.lastError': message,
+        'refund.transactionHash': null,
+        'refund.nextAttemptAt': exhausted ? null : new Date(Date.now() + this.refundRetryDelayMs)
+      }
+    };
+    if (fromStatus !== 'SENT') {
+      update.$inc = { 'refund.attempts': 1 };
+    }
+
+    await Task.updateOne({ _id: task._id, 'refund.status': fromStatus }, update);
+
+    console.error(`❌ Refund for task ${task._id} failed (attempt ${attempts}): ${message}`);
+  }
+
+  // Staff retry of a refund that ran out of attempts
+  async retryRefund(task) {
+    return Task.findOneAndUpdate(
+      { _id: task._id, 'refund.status': 'FAILED' },
+      {
+        $set: {
+          'refund.status': 'PENDING',
+          'refund.attempts': 0,
+          'refund.nextAttemptAt': new Date()
+        }
+      },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new TaskLifecycleService();
\ No newline at end of file
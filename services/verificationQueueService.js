@@ -0,0 +1,285 @@
+// services/verificationQueueService.js
+const VerificationJob = require('../models/VerificationJob');
+const Participant = require('../models/Participant');
+const verificationService = require('./verificationService');
+
+class VerificationQueueService {
+  constructor() {
+    this.enabled = process.env.VERIFICATION_WORKER_ENABLED !== 'false';
+    this.pollIntervalMs = parseInt(process.env.VERIFICATION_WORKER_POLL_INTERVAL_MS || '5000');
+    this.batchSize = parseInt(process.env.VERIFICATION_WORKER_BATCH_SIZE || '10');
+    this.maxAttempts = parseInt(process.env.VERIFICATION_JOB_MAX_ATTEMPTS || '5');
+    this.baseDelayMs = parseInt(process.env.VERIFICATION_JOB_BASE_DELAY_MS || '30000');
+    this.maxDelayMs = parseInt(process.env.VERIFICATION_JOB_MAX_DELAY_MS || '3600000');
+    // A RUNNING job older than this belonged to a worker that died mid-attempt
+    this.lockTimeoutMs = parseInt(process.env.VERIFICATION_JOB_LOCK_TIMEOUT_MS || '300000');
+
+    this.timer = null;
+    this.running = false;
+
+    console.log(`🧾 Verification worker ${this.enabled ? 'ENABLED' : 'DISABLED'}`);
+  }
+
+  start() {
+    if (!this.enabled || this.timer) {
+      return;
+    }
+
+    console.log(`🧾 Processing verification jobs every ${this.pollIntervalMs}ms (max ${this.maxAttempts} attempts)`);
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Queue a check for a participant. An already queued job is reused and pulled forward.
+  async enqueue(participant, { reason = null } = {}) {
+    const participantId = participant._id;
+    const taskId = participant.task._id || participant.task;
+    const userId = participant.user._id || participant.user;
+
+    let job;
+    try {
+      job = await VerificationJob.findOneAndUpdate(
+        { participant: participantId, status: 'QUEUED' },
+        {
+          $set: { runAt: new Date() },
+          $setOnInsert: {
+            task: taskId,
+            user: userId,
+            reason,
+            maxAttempts: this.maxAttempts
+          }
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Two enqueues raced on the upsert; the other one created the job
+      if (error.code !== 11000) {
+        throw error;
+      }
+      job = await VerificationJob.findOne({ participant: participantId, status: 'QUEUED' });
+    }
+
+    await Participant.updateOne(
+      { _id: participantId },
+      {
+        $set: {
+          'verification.state': 'QUEUED',
+          'verification.job': job._id
+        }
+      }
+    );
+
+    return job;
+  }
+
+  // Exponential backoff with jitter: base, 2x base, 4x base ... capped at maxDelayMs
+  getRetryDelay(attempts) {
+    const delay = this.baseDelayMs * 2 ** (attempts - 1) * (0.8 + Math.random() * 0.4);
+    return Math.round(Math.min(delay, this.maxDelayMs));
+  }
+
+  async tick() {
+    // Never let two polls overlap
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.releaseStaleJobs();
+
+      for (let i = 0; i < this.batchSize; i++) {
+        const job = await this.claimNextJob();
+        if (!job) {
+          break;
+        }
+        await this.processJob(job);
+      }
+    } catch (error) {
+      console.error('Verification worker error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async releaseStaleJobs() {
+    const staleJobs = await VerificationJob.find({
+      status: 'RUNNING',
+      lockedAt: { $lt: new Date(Date.now() - this.lockTimeoutMs) }
+    });
+
+    for (const job of staleJobs) {
+      console.warn(`⚠️  Requeueing stale verification job ${job._id}`);
+      try {
+        await VerificationJob.updateOne(
+          { _id: job._id, status: 'RUNNING' },
+          { $set: { status: 'QUEUED', lockedAt: null, runAt: new Date() } }
+        );
+      } catch (error) {
+        // The participant already has a queued job, which covers this one
+        if (error.code !== 11000) {
+          throw error;
+        }
+        await this.completeJob(job, null);
+      }
+    }
+  }
+
+  // Atomically take the oldest due job so several workers can share the queue
+  async claimNextJob() {
+    return VerificationJob.findOneAndUpdate(
+      { status: 'QUEUED', runAt: { $lte: new Date() } },
+      {
+        $set: { status: 'RUNNING', lockedAt: new Date() },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async processJob(job) {
+    const participant = await Participant.findById(job.participant).populate('task');
+
+    // Nothing left to check: the participant left, or was verified/rejected meanwhile
+    if (!participant || participant.status !== 'PENDING') {
+      return this.completeJob(job, null);
+    }
+
+    // Flagged by risk scoring after the job was queued
+    if (participant.requiresManualReview) {
+      await Participant.updateOne(
+        { _id: participant._id },
+        { $set: { 'verification.state': 'MANUAL_REVIEW' } }
+      );
+      return this.completeJob(job, null);
+    }
+
+    await Participant.updateOne(
+      { _id: participant._id },
+      {
+        $set: {
+          'verification.state': 'RUNNING',
+          'verification.attempts': job.attempts,
+          'verification.lastAttemptAt': new Date()
+        }
+      }
+    );
+
+    try {
+      const result = await verificationService.verifyParticipant(participant, {
+        note: 'Auto-verified via Snapchain API'
+      });
+
+      if (result.transitioned) {
+        return this.completeJob(job, true);
+      }
+
+      // Verified, but the participant left or was handled elsewhere meanwhile
+      if (result.verified) {
+        return this.completeJob(job, null);
+      }
+
+      await Participant.updateOne(
+        { _id: participant._id },
+        { $set: { 'verification.state': 'NOT_VERIFIED', 'verification.lastError': null } }
+      );
+
+      return this.completeJob(job, false);
+    } catch (error) {
+      return this.failJob(job, participant, error);
+    }
+  }
+
+  async completeJob(job, verified) {
+    await VerificationJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: 'COMPLETED',
+          verified,
+          lockedAt: null,
+          completedAt: new Date()
+        }
+      }
+    );
+  }
+
+  async failJob(job, participant, error) {
+    const message = error.response?.data?.message || error.message;
+    const attemptError = { attempt: job.attempts, message, at: new Date() };
+
+    // Retrying can't help when the social graph provider doesn't support the check
+    if (job.attempts >= job.maxAttempts || error.code === 'UNSUPPORTED') {
+      console.error(`❌ Verification job ${job._id} dead after ${job.attempts} attempts: ${message}`);
+
+      await VerificationJob.updateOne(
+        { _id: job._id },
+        {
+          $set: { status: 'DEAD', lastError: message, lockedAt: null, deadAt: new Date() },
+          $push: { attemptErrors: attemptError }
+        }
+      );
+      await Participant.updateOne(
+        { _id: participant._id },
+        { $set: { 'verification.state': 'FAILED', 'verification.lastError': message } }
+      );
+      return;
+    }
+
+    const runAt = new Date(Date.now() + this.getRetryDelay(job.attempts));
+    console.warn(`⚠️  Verification job ${job._id} attempt ${job.attempts} failed, retrying at ${runAt.toISOString()}: ${message}`);
+
+    try {
+      await VerificationJob.updateOne(
+        { _id: job._id },
+        {
+          $set: { status: 'QUEUED', lastError: message, lockedAt: null, runAt },
+          $push: { attemptErrors: attemptError }
+        }
+      );
+    } catch (updateError) {
+      // A fresh job was queued for this participant while this one ran; let that one retry
+      if (updateError.code !== 11000) {
+        throw updateError;
+      }
+      await this.completeJob(job, null);
+    }
+
+    await Participant.updateOne(
+      { _id: participant._id },
+      { $set: { 'verification.state': 'RETRYING', 'verification.lastError': message } }
+    );
+  }
+
+  // Dead jobs stay in place as a record; a retry queues a new job with a fresh attempt budget
+  async retryDeadJob(job) {
+    const participant = await Participant.findById(job.participant);
+    if (!participant) {
+      throw new Error('Participant not found');
+    }
+
+    return this.enqueue(participant, { reason: 'retry' });
+  }
+
+  async getQueueStats() {
+    const counts = await VerificationJob.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const stats = { QUEUED: 0, RUNNING: 0, COMPLETED: 0, DEAD: 0 };
+    counts.forEach(({ _id, count }) => {
+      stats[_id] = count;
+    });
+
+    return stats;
+  }
+}
+
+module.exports = new VerificationQueueService();
\ No newline at end of file
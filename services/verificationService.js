@@ -0,0 +1,197 @@
+// services/verificationService.js
+const Participant = require('../models/Participant');
+const User = require('../models/User');
+const snapchainService = require('./snapchainService');
+
+class VerificationService {
+  // Check one action against the social graph.
+  // Always bypasses the lookup cache: this is the check that moves a participant to VERIFIED.
+  // Provider errors are thrown so the verification queue can retry them.
+  async verifyAction(taskType, targetData, user, task) {
+    let verified = false;
+    
+    switch (taskType) {
+      case 'FOLLOW_USER':
+        if (targetData.userToFollow) {
+          verified = await snapchainService.verifyUserFollowsUser(
+            user.fid,
+            targetData.userToFollow,
+            { bypassCache: true }
+          );
+        }
+        break;
+        
+      case 'LIKE_CAST':
+        if (targetData.castHashToLike) {
+          verified = await snapchainService.verifyCastLike(
+            user.fid,
+            targetData.castHashToLike,
+            { bypassCache: true }
+          );
+        }
+        break;
+        
+      case 'RECAST_CAST':
+        if (targetData.castHashToRecast) {
+          verified = await snapchainService.verifyCastRecast(
+            user.fid,
+            targetData.castHashToRecast,
+            { bypassCache: true }
+          );
+        }
+        break;
+        
+      case 'JOIN_CHANNEL':
+        if (targetData.channelToJoin) {
+          verified = await snapchainService.verifyChannelMembership(
+            user.fid,
+            targetData.channelToJoin,
+            { bypassCache: true }
+          );
+        }
+        break;
+        
+      case 'REPLY_TO_CAST':
+        if (targetData.castHashToReply) {
+          verified = await snapchainService.verifyCastReply(
+            user.fid,
+            targetData.castHashToReply
+          );
+        }
+        break;
+
+      case 'QUOTE_CAST':
+        if (targetData.castHashToQuote) {
+          verified = await snapchainService.verifyQuoteCast(
+            user.fid,
+            targetData.castHashToQuote
+          );
+        }
+        break;
+
+      case 'CAST_WITH_MENTION':
+        if (targetData.mentionFid || targetData.castKeyword || targetData.castUrl) {
+          // Only casts published after the task was created count
+          verified = await snapchainService.verifyCastWithMention(user.fid, {
+            mentionFid: targetData.mentionFid,
+            keyword: targetData.castKeyword,
+            url: targetData.castUrl,
+            since: task.createdAt
+          });
+        }
+        break;
+        
+      default:
+        verified = false;
+    }
+    
+    return verified;
+  }
+
+  // Check a participant's task: its single action, or every step of a COMPOSITE task
+  async autoVerifyTask(participant) {
+    const task = participant.task;
+    const user = await User.findById(participant.user);
+
+    if (task.taskType !== 'COMPOSITE') {
+      return { verified: await this.verifyAction(task.taskType, task.targetData, user, task) };
+    }
+
+    return this.verifySteps(participant, task, user);
+  }
+
+  // Steps that already passed are not checked again. Results are saved even when a
+  // step errors; the error is rethrown afterwards so the queue retries the rest.
+  async verifySteps(participant, task, user) {
+    const previous = new Map((participant.stepResults || []).map(result => [result.step.toString(), result]));
+    let firstError = null;
+
+    const stepResults = [];
+    for (const step of task.steps) {
+      const result = previous.get(step._id.toString()) || { step: step._id, taskType: step.taskType, status: 'PENDING' };
+
+      if (result.status !== 'VERIFIED') {
+        try {
+          const verified = await this.verifyAction(step.taskType, step.targetData, user, task);
+          result.status = verified ? 'VERIFIED' : 'NOT_VERIFIED';
+          result.verifiedAt = verified ? new Date() : null;
+          result.error = null;
+        } catch (error) {
+          result.status = 'ERROR';
+          result.error = error.message;
+          firstError = firstError || error;
+        }
+        result.lastCheckedAt = new Date();
+      }
+
+      stepResults.push({
+        step: result.step,
+        taskType: result.taskType,
+        status: result.status,
+        lastCheckedAt: result.lastCheckedAt,
+        verifiedAt: result.verifiedAt,
+        error: result.error
+      });
+    }
+
+    await Participant.updateOne({ _id: participant._id }, { $set: { stepResults } });
+    participant.stepResults = stepResults;
+
+    const verified = stepResults.length > 0 && stepResults.every(result => result.status === 'VERIFIED');
+    if (!verified && firstError) {
+      throw firstError;
+    }
+
+    return { verified, stepResults };
+  }
+
+  // Re-check every action of an already verified participant, ignoring earlier step results.
+  // Returns the actions (the task itself, or its steps) that are no longer in place.
+  async checkRetention(participant) {
+    const task = participant.task;
+    const user = await User.findById(participant.user);
+    const actions = task.taskType === 'COMPOSITE'
+      ? task.steps
+      : [{ taskType: task.taskType, targetData: task.targetData }];
+
+    const undone = [];
+    for (const action of actions) {
+      if (!await this.verifyAction(action.taskType, action.targetData, user, task)) {
+        undone.push(action);
+      }
+    }
+
+    return { retained: undone.length === 0, undone };
+  }
+
+  // Run autoVerifyTask and move the participant to VERIFIED when it passes.
+  // Only participants in one of fromStatuses are moved, so concurrent callers can't race.
+  // verified is the outcome of the check; transitioned is whether this call moved the
+  // participant to VERIFIED, which is false when their status changed meanwhile.
+  async verifyParticipant(participant, { note, fromStatuses = ['PENDING'], reviewed = false } = {}) {
+    // High-risk participants are only verified by a person (see services/riskScoringService.js)
+    if (participant.requiresManualReview && !reviewed) {
+      return { verified: false, transitioned: false, manualReview: true, participant };
+    }
+
+    const { verified } = await this.autoVerifyTask(participant);
+
+    if (!verified) {
+      return { verified: false, transitioned: false, participant };
+    }
+
+    const updatedParticipant = await Participant.findOneAndUpdate(
+      { _id: participant._id, status: { $in: fromStatuses } },
+      { $set: { status: 'VERIFIED', verificationNotes: note, verifiedAt: new Date(), 'verification.state': 'VERIFIED' } },
+      { new: true }
+    ).populate('task');
+
+    return {
+      verified: true,
+      transitioned: Boolean(updatedParticipant),
+      participant: updatedParticipant || await Participant.findById(participant._id).populate('task')
+    };
+  }
+}
+
+module.exports = new VerificationService();
\ No newline at end of file
@@ -0,0 +1,127 @@
+jest.mock('../models/Task', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../models/User', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../models/Participant', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../services/sessionService', () => ({ authenticate: jest.fn(async token => ({ userId: token })) }));
+jest.mock('../services/contractService', () => ({ getNetworkInfo: jest.fn(async () => ({ chainId: 84532 })) }));
+jest.mock('../services/sponsoredGasService', () => ({ enabled: true, paymasterUrl: 'https://paymaster.example/rpc' }));
+jest.mock('../services/snapchainService', () => ({ getCacheStats: jest.fn(() => ({ hits: 3, misses: 1 })) }));
+jest.mock('../services/claimTicketService', () => ({ revokeLiveTicket: jest.fn(async () => null) }));
+jest.mock('../services/verificationQueueService', () => ({ getQueueStats: jest.fn(async () => ({ queued: 0 })) }));
+jest.mock('../services/taskLifecycleService', () => ({}));
+
+const express = require('express');
+const request = require('supertest');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Participant = require('../models/Participant');
+const claimTicketService = require('../services/claimTicketService');
+const sponsoredGasService = require('../services/sponsoredGasService');
+const adminRoutes = require('../routes/admin');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+
+describe('admin routes', () => {
+  let admin;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    Task.reset();
+    User.reset();
+    Participant.reset();
+    claimTicketService.revokeLiveTicket.mockClear();
+    admin = await User.create({ role: 'admin', isBanned: false });
+  });
+
+  describe('POST /participants/:id/reject', () => {
+    const reject = (participant) => request(app)
+      .post(`/api/admin/participants/${participant._id}/reject`)
+      .set('Authorization', `Bearer ${admin._id}`)
+      .send({ reason: 'Sybil' });
+
+    const createTask = () => Task.create({
+      status: 'ACTIVE',
+      maxParticipants: 1,
+      currentParticipants: 1,
+      waitlist: { enabled: true, maxSize: 2, count: 1 }
+    });
+
+    it('gives a waitlisted participant\'s position back without touching slots', async () => {
+      const task = await createTask();
+      const participant = await Participant.create({ task: task._id, status: 'WAITLISTED', slotReleasedAt: null, waitlistedAt: new Date() });
+
+      const response = await reject(participant);
+
+      expect(response.status).toBe(200);
+      expect(response.body.participant.status).toBe('REJECTED');
+      expect(claimTicketService.revokeLiveTicket).not.toHaveBeenCalled();
+      const updatedTask = await Task.findById(task._id);
+      expect(updatedTask.waitlist.count).toBe(0);
+      expect(updatedTask.currentParticipants).toBe(1);
+    });
+
+    it('revokes a verified participant\'s live ticket and promotes from the waitlist', async () => {
+      const task = await createTask();
+      const participant = await Participant.create({ task: task._id, status: 'VERIFIED', slotReleasedAt: null });
+      const waiting = await Participant.create({ task: task._id, status: 'WAITLISTED', slotReleasedAt: null, waitlistedAt: new Date() });
+
+      const response = await reject(participant);
+
+      expect(response.status).toBe(200);
+      expect(claimTicketService.revokeLiveTicket).toHaveBeenCalledWith(participant._id, expect.objectContaining({ reason: 'Sybil' }));
+      expect(response.body.promotedParticipant._id).toBe(waiting._id);
+      const updatedTask = await Task.findById(task._id);
+      expect(updatedTask.currentParticipants).toBe(1);
+      expect(updatedTask.waitlist.count).toBe(0);
+    });
+
+    it('refuses to reject a participant who already claimed', async () => {
+      const task = await createTask();
+      const participant = await Participant.create({ task: task._id, status: 'CLAIMED', slotReleasedAt: null });
+
+      expect((await reject(participant)).status).toBe(400);
+      expect((await Participant.findById(participant._id)).status).toBe('CLAIMED');
+    });
+  });
+
+  describe('GET /status', () => {
+    const getStatus = () => request(app).get('/api/admin/status').set('Authorization', `Bearer ${admin._id}`);
+
+    it('reports the paymaster host, cache and queue stats', async () => {
+      const response = await getStatus();
+
+      expect(response.status).toBe(200);
+      expect(response.body.paymaster).toMatchObject({ configured: true, host: 'paymaster.example', error: null });
+      expect(response.body.snapchainCache).toEqual({ hits: 3, misses: 1 });
+      expect(response.body.verificationQueue).toEqual({ queued: 0 });
+    });
+
+    it('is for staff only', async () => {
+      const user = await User.create({ role: 'user', isBanned: false });
+
+      expect((await request(app).get('/api/admin/status')).status).toBe(401);
+      expect((await request(app).get('/api/admin/status').set('Authorization', `Bearer ${user._id}`)).status).toBe(403);
+    });
+
+    it('still answers when PAYMASTER_URL is malformed', async () => {
+      const paymasterUrl = sponsoredGasService.paymasterUrl;
+      sponsoredGasService.paymasterUrl = 'not a url';
+      try {
+        const response = await getStatus();
+
+        expect(response.status).toBe(200);
+        expect(response.body.paymaster).toMatchObject({ configured: true, host: null, error: 'PAYMASTER_URL is not a valid URL' });
+      } finally {
+        sponsoredGasService.paymasterUrl = paymasterUrl;
+      }
+    });
+  });
+});
\ No newline at end of file
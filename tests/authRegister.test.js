@@ -0,0 +1,104 @@
+process.env.SIGN_IN_DOMAIN = 'tasks.example';
+
+jest.mock('../models/AuthNonce', () => require('./helpers/memoryModel').createMemoryModel({ unique: ['nonce'], defaults: { usedAt: null } }));
+jest.mock('../models/User', () => require('./helpers/memoryModel').createMemoryModel({ unique: ['walletAddress', 'fid'] }));
+jest.mock('../services/snapchainService', () => ({
+  getUserByUsername: jest.fn(),
+  getAddressLink: jest.fn()
+}));
+jest.mock('../services/sessionService', () => ({
+  createSession: jest.fn(async () => ({ accessToken: 'access', refreshToken: 'refresh' }))
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { ethers } = require('ethers');
+const User = require('../models/User');
+const AuthNonce = require('../models/AuthNonce');
+const snapchainService = require('../services/snapchainService');
+const authRoutes = require('../routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const wallet = ethers.Wallet.createRandom();
+
+const signedMessage = async (signer = wallet) => {
+  const { body: { nonce, domain } } = await request(app).get('/api/auth/nonce');
+  const message = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    signer.address,
+    '',
+    `URI: https://${domain}`,
+    'Version: 1',
+    'Chain ID: 8453',
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`
+  ].join('\n');
+  return { message, signature: await signer.signMessage(message) };
+};
+
+const register = (proof, overrides = {}) => request(app)
+  .post('/api/auth/register')
+  .send({
+    warpcastUsername: 'alice',
+    walletAddress: wallet.address,
+    email: 'alice@example.com',
+    password: 'correct horse',
+    ...proof,
+    ...overrides
+  });
+
+describe('POST /api/auth/register wallet ownership', () => {
+  beforeEach(() => {
+    User.reset();
+    AuthNonce.reset();
+    snapchainService.getUserByUsername.mockResolvedValue({ fid: 42, username: 'alice' });
+    snapchainService.getAddressLink.mockResolvedValue('verified_address');
+  });
+
+  it('registers a wallet that signed the message and is linked to the FID', async () => {
+    const response = await register(await signedMessage());
+
+    expect(response.status).toBe(201);
+    expect(snapchainService.getAddressLink).toHaveBeenCalledWith(42, wallet.address.toLowerCase());
+    const user = await User.findOne({ fid: 42 });
+    expect(user).toMatchObject({ walletAddress: wallet.address.toLowerCase(), isVerified: true, verificationMethod: 'verified_address' });
+  });
+
+  it('rejects a message signed by another wallet', async () => {
+    const response = await register(await signedMessage(ethers.Wallet.createRandom()));
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Message was not signed by walletAddress');
+    expect(await User.countDocuments({})).toBe(0);
+  });
+
+  it('rejects a wallet that isn\'t the custody or a verified address of the FID', async () => {
+    snapchainService.getAddressLink.mockResolvedValue(null);
+
+    const response = await register(await signedMessage());
+
+    expect(response.status).toBe(403);
+    expect(await User.countDocuments({})).toBe(0);
+  });
+
+  it('rejects a replayed proof', async () => {
+    const proof = await signedMessage();
+    await register(proof);
+    User.reset();
+
+    const replay = await register(proof, { warpcastUsername: 'mallory', email: 'mallory@example.com' });
+
+    expect(replay.status).toBe(401);
+    expect(replay.body.error).toBe('Nonce is unknown, expired or already used');
+  });
+
+  it('requires a signed message', async () => {
+    const response = await register({});
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors.map(error => error.path)).toEqual(expect.arrayContaining(['message', 'signature']));
+  });
+});
\ No newline at end of file
@@ -0,0 +1,123 @@
+jest.mock('../models/ClaimTicket', () => require('./helpers/memoryModel').createMemoryModel({
+  unique: [{ fields: ['participant'], partialFilter: { status: 'ISSUED' } }],
+  defaults: { status: 'ISSUED', revokedAt: null, revocationTransactionHash: null, revocationError: null }
+}));
+jest.mock('../models/Participant', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../services/contractService', () => ({
+  generateClaimSignature: jest.fn(),
+  invalidateClaimNonce: jest.fn()
+}));
+
+const ClaimTicket = require('../models/ClaimTicket');
+const Participant = require('../models/Participant');
+const contractService = require('../services/contractService');
+const claimTicketService = require('../services/claimTicketService');
+
+const task = { _id: 'task1', contractTaskId: 7, rewardPerParticipant: '1000', rewardToken: null };
+const user = { _id: 'user1', walletAddress: '0x00000000000000000000000000000000000000aa' };
+
+let nonce = 0;
+
+describe('claimTicketService', () => {
+  let participant;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    ClaimTicket.reset();
+    Participant.reset();
+    contractService.generateClaimSignature.mockReset().mockImplementation(async () => {
+      nonce += 1;
+      return { signature: `0xsig${nonce}`, mode: 'eip712', nonce: String(nonce), deadline: Math.floor(Date.now() / 1000) + 3600 };
+    });
+    contractService.invalidateClaimNonce.mockReset().mockResolvedValue('0xrevocation');
+    participant = await Participant.create({ status: 'VERIFIED', claimSignature: null });
+  });
+
+  const issue = () => claimTicketService.issueTicket(participant, task, user);
+
+  describe('issueTicket', () => {
+    it('hands back the live ticket instead of signing another', async () => {
+      const first = await issue();
+      const second = await issue();
+
+      expect(first.reused).toBe(false);
+      expect(second).toMatchObject({ reused: true, ticket: { _id: first.ticket._id } });
+      expect(contractService.generateClaimSignature).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps a single live ticket when requests race', async () => {
+      const results = await Promise.all([issue(), issue(), issue()]);
+
+      expect(await ClaimTicket.countDocuments({ participant: participant._id, status: 'ISSUED' })).toBe(1);
+      expect(new Set(results.map(result => result.ticket._id)).size).toBe(1);
+      expect(results.filter(result => !result.reused)).toHaveLength(1);
+    });
+
+    it('expires a ticket past its deadline and issues a fresh one', async () => {
+      const { ticket } = await issue();
+      await ClaimTicket.updateOne({ _id: ticket._id }, { $set: { deadline: new Date(Date.now() - 1000) } });
+
+      const fresh = await issue();
+
+      expect(fresh.reused).toBe(false);
+      expect(fresh.ticket._id).not.toBe(ticket._id);
+      expect((await ClaimTicket.findById(ticket._id)).status).toBe('EXPIRED');
+    });
+  });
+
+  describe('revokeLiveTicket', () => {
+    it('revokes the ticket, burns its nonce and clears the participant\'s signature', async () => {
+      const { ticket } = await issue();
+      await Participant.updateOne({ _id: participant._id }, { $set: { claimSignature: ticket.signature } });
+
+      const revoked = await claimTicketService.revokeLiveTicket(participant._id, { revokedBy: 'admin1', reason: 'Sybil' });
+
+      expect(revoked).toMatchObject({ status: 'REVOKED', revokedBy: 'admin1', revokeReason: 'Sybil', revocationTransactionHash: '0xrevocation' });
+      expect(contractService.invalidateClaimNonce).toHaveBeenCalledWith(user.walletAddress, ticket.nonce);
+      expect((await ClaimTicket.findById(ticket._id)).revocationTransactionHash).toBe('0xrevocation');
+      expect((await Participant.findById(participant._id)).claimSignature).toBeNull();
+      expect(await claimTicketService.getLiveTicket(participant._id)).toBeNull();
+    });
+
+    it('lets a new ticket be issued after a revocation', async () => {
+      const { ticket } = await issue();
+      await claimTicketService.revokeLiveTicket(participant._id);
+
+      const fresh = await issue();
+
+      expect(fresh.reused).toBe(false);
+      expect(fresh.ticket._id).not.toBe(ticket._id);
+    });
+
+    it('can\'t burn legacy signatures on-chain', async () => {
+      contractService.generateClaimSignature.mockResolvedValue({ signature: '0xlegacy', mode: 'legacy', nonce: null, deadline: null });
+      await issue();
+
+      const revoked = await claimTicketService.revokeLiveTicket(participant._id);
+
+      expect(revoked.status).toBe('REVOKED');
+      expect(contractService.invalidateClaimNonce).not.toHaveBeenCalled();
+    });
+
+    it('records a failed on-chain revocation and still revokes the ticket', async () => {
+      contractService.invalidateClaimNonce.mockRejectedValue(new Error('insufficient funds'));
+      const { ticket } = await issue();
+
+      const revoked = await claimTicketService.revokeLiveTicket(participant._id);
+
+      expect(revoked.revocationError).toBe('insufficient funds');
+      expect((await ClaimTicket.findById(ticket._id)).status).toBe('REVOKED');
+    });
+
+    it('returns null when there is no live ticket', async () => {
+      expect(await claimTicketService.revokeLiveTicket(participant._id)).toBeNull();
+    });
+  });
+});
\ No newline at end of file
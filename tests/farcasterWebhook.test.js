@@ -0,0 +1,107 @@
+process.env.FARCASTER_WEBHOOK_SECRET = 'webhook-secret';
+
+jest.mock('../models/Task', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../models/User', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../models/Participant', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../models/WebhookDelivery', () => require('./helpers/memoryModel').createMemoryModel({ unique: ['deliveryId'] }));
+jest.mock('../services/snapchainService', () => ({}));
+jest.mock('../services/verificationService', () => ({ verifyParticipant: jest.fn() }));
+jest.mock('../services/verificationQueueService', () => ({ enqueue: jest.fn() }));
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const farcasterWebhookService = require('../services/farcasterWebhookService');
+const webhookRoutes = require('../routes/webhooks');
+
+const app = express();
+app.use('/api/webhooks', express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }), webhookRoutes);
+
+const sign = (body, secret = 'webhook-secret') => crypto.createHmac('sha512', secret).update(body).digest('hex');
+
+const castEvent = (overrides = {}) => JSON.stringify({
+  created_at: Math.floor(Date.now() / 1000),
+  type: 'cast.created',
+  data: { hash: '0xabc', author: { fid: 1 }, text: 'gm' },
+  ...overrides
+});
+
+const deliver = (body, signature = sign(body)) => {
+  const req = request(app)
+    .post('/api/webhooks/farcaster')
+    .set('Content-Type', 'application/json');
+  if (signature) {
+    req.set('X-Neynar-Signature', signature);
+  }
+  return req.send(body);
+};
+
+describe('POST /api/webhooks/farcaster', () => {
+  beforeEach(() => {
+    WebhookDelivery.reset();
+  });
+
+  it('accepts a delivery signed with the shared secret', async () => {
+    const response = await deliver(castEvent());
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ received: true, matched: 0 });
+  });
+
+  it('rejects a delivery signed with another secret', async () => {
+    const body = castEvent();
+
+    const response = await deliver(body, sign(body, 'other-secret'));
+
+    expect(response.status).toBe(401);
+    expect(await WebhookDelivery.countDocuments({})).toBe(0);
+  });
+
+  it('rejects a delivery whose body was changed after signing', async () => {
+    const body = castEvent();
+    const tampered = body.replace('"gm"', '"gn"');
+
+    expect((await deliver(tampered, sign(body))).status).toBe(401);
+  });
+
+  it('rejects a delivery without a signature', async () => {
+    expect((await deliver(castEvent(), null)).status).toBe(401);
+  });
+
+  it('rejects events outside the time window or without created_at', async () => {
+    const stale = castEvent({ created_at: Math.floor(Date.now() / 1000) - farcasterWebhookService.toleranceSeconds - 60 });
+    const undated = castEvent({ created_at: undefined });
+
+    expect((await deliver(stale)).status).toBe(400);
+    expect((await deliver(undated)).status).toBe(400);
+  });
+
+  it('handles a replayed delivery only once', async () => {
+    const body = castEvent();
+    const handleEvent = jest.spyOn(farcasterWebhookService, 'handleEvent');
+
+    try {
+      await deliver(body);
+      const replay = await deliver(body);
+
+      expect(replay.status).toBe(200);
+      expect(replay.body).toEqual({ received: true, duplicate: true });
+      expect(handleEvent).toHaveBeenCalledTimes(1);
+    } finally {
+      handleEvent.mockRestore();
+    }
+  });
+
+  it('lets a retry through when handling failed', async () => {
+    const body = castEvent();
+    const handleEvent = jest.spyOn(farcasterWebhookService, 'handleEvent').mockRejectedValueOnce(new Error('database down'));
+
+    try {
+      expect((await deliver(body)).status).toBe(500);
+      expect((await deliver(body)).body).toMatchObject({ received: true, matched: 0 });
+    } finally {
+      handleEvent.mockRestore();
+    }
+  });
+});
\ No newline at end of file
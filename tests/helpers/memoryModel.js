@@ -0,0 +1,302 @@
+// In-memory stand-in for a Mongoose model, for service tests without a MongoDB server.
+// Covers the query and update operators the services use. Every call yields to the event
+// loop before it runs, then runs in one go, like a single document operation in MongoDB,
+// so tests can interleave concurrent callers.
+const sift = require('sift').default;
+
+let nextId = 1;
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Not structuredClone: under Jest it returns Dates from another realm, which sift can't compare
+const clone = (value) => {
+  if (Object.prototype.toString.call(value) === '[object Date]') {
+    return new Date(value.getTime());
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value && typeof value === 'object' && !(value instanceof RegExp)) {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, clone(inner)]));
+  }
+  return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] == null || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => (target == null ? target : target[key]), doc);
+  if (parent != null) {
+    delete parent[last];
+  }
+};
+
+// $expr support for comparisons between fields, e.g. { $lt: ['$a', '$b'] }
+const evalExpr = (doc, expr) => {
+  const [operator] = Object.keys(expr);
+  const [left, right] = expr[operator].map(arg => (typeof arg === 'string' && arg.startsWith('$') ? getPath(doc, arg.slice(1)) : arg));
+  switch (operator) {
+    case '$lt': return left < right;
+    case '$lte': return left <= right;
+    case '$gt': return left > right;
+    case '$gte': return left >= right;
+    case '$eq': return left === right;
+    default: throw new Error(`memoryModel: unsupported $expr operator ${operator}`);
+  }
+};
+
+const normalize = (value) => {
+  if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !(value instanceof RegExp)) {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, normalize(inner)]));
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  return value;
+};
+
+const matcher = (filter = {}) => {
+  const { $expr, ...rest } = filter;
+  const test = sift(normalize(rest));
+  return doc => test(doc) && (!$expr || evalExpr(doc, $expr));
+};
+
+const applyUpdate = (doc, update, { inserting = false } = {}) => {
+  const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+
+  for (const [path, value] of Object.entries(operators.$set || {})) {
+    setPath(doc, path, clone(value));
+  }
+  if (inserting) {
+    for (const [path, value] of Object.entries(operators.$setOnInsert || {})) {
+      setPath(doc, path, clone(value));
+    }
+  }
+  for (const [path, value] of Object.entries(operators.$inc || {})) {
+    setPath(doc, path, (getPath(doc, path) || 0) + value);
+  }
+  for (const path of Object.keys(operators.$unset || {})) {
+    unsetPath(doc, path);
+  }
+  for (const [path, value] of Object.entries(operators.$push || {})) {
+    const isEach = value && typeof value === 'object' && Array.isArray(value.$each);
+    let list = [...(getPath(doc, path) || []), ...clone(isEach ? value.$each : [value])];
+    if (isEach && value.$slice !== undefined) {
+      list = value.$slice < 0 ? list.slice(value.$slice) : list.slice(0, value.$slice);
+    }
+    setPath(doc, path, list);
+  }
+};
+
+const sortDocs = (docs, spec) => {
+  const keys = Object.entries(spec || {});
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const left = getPath(a, key);
+      const right = getPath(b, key);
+      if (left < right) return -direction;
+      if (left > right) return direction;
+    }
+    return 0;
+  });
+};
+
+// Chainable, awaitable query result, so .populate() / .select() / .sort() calls still work
+const query = (run) => {
+  const options = {};
+  const chain = {
+    populate: () => chain,
+    select: () => chain,
+    lean: () => chain,
+    sort: (spec) => { options.sort = spec; return chain; },
+    limit: (limit) => { options.limit = limit; return chain; },
+    skip: (skip) => { options.skip = skip; return chain; },
+    then: (resolve, reject) => run(options).then(resolve, reject),
+    catch: (reject) => run(options).catch(reject)
+  };
+  return chain;
+};
+
+// Returns a constructor: `new Model(data).save()` works, and documents read back come with
+// save() and toObject() like Mongoose documents.
+const createMemoryModel = ({ unique = [], defaults = {} } = {}) => {
+  function Model(data = {}) {
+    Object.assign(this, clone(defaults), data);
+  }
+
+  const hydrate = (doc) => (doc ? Object.assign(Object.create(Model.prototype), clone(doc)) : null);
+
+  Model.prototype.toObject = function toObject() {
+    return clone({ ...this });
+  };
+
+  Model.prototype.save = async function save() {
+    await tick();
+    const data = clone({ ...this });
+    const existing = Model.docs.find(doc => doc._id === data._id);
+
+    if (existing) {
+      Model.checkUnique(data, existing);
+      Object.keys(existing).forEach(key => delete existing[key]);
+      Object.assign(existing, data);
+    } else {
+      this._id = Model.insert(data)._id;
+    }
+    return this;
+  };
+
+  Object.assign(Model, {
+    docs: [],
+
+    reset() {
+      Model.docs = [];
+    },
+
+    // unique entries: 'field', ['field', 'other'], or { fields, partialFilter } for partial indexes
+    checkUnique(doc, except = null) {
+      for (const field of unique) {
+        const { fields, partialFilter } = typeof field === 'object' && !Array.isArray(field)
+          ? field
+          : { fields: Array.isArray(field) ? field : [field] };
+        const indexed = partialFilter ? matcher(partialFilter) : () => true;
+        if (!indexed(doc)) {
+          continue;
+        }
+        const duplicate = Model.docs.some(other => other !== except && indexed(other) &&
+          fields.every(key => getPath(other, key) !== undefined && getPath(other, key) !== null &&
+            String(getPath(other, key)) === String(getPath(doc, key))));
+        if (duplicate) {
+          const error = new Error(`E11000 duplicate key error (${fields.join(', ')})`);
+          error.code = 11000;
+          throw error;
+        }
+      }
+    },
+
+    insert(data) {
+      const doc = { ...clone(defaults), ...clone(data) };
+      doc._id = doc._id || `id${nextId++}`;
+      Model.checkUnique(doc);
+      Model.docs.push(doc);
+      return doc;
+    },
+
+    async create(data) {
+      await tick();
+      return Array.isArray(data) ? data.map(item => hydrate(Model.insert(item))) : hydrate(Model.insert(data));
+    },
+
+    find(filter) {
+      return query(async ({ sort, limit, skip = 0 }) => {
+        await tick();
+        let docs = sortDocs(Model.docs.filter(matcher(filter)), sort).slice(skip);
+        if (limit) {
+          docs = docs.slice(0, limit);
+        }
+        return docs.map(hydrate);
+      });
+    },
+
+    findOne(filter) {
+      return query(async ({ sort }) => {
+        await tick();
+        return hydrate(sortDocs(Model.docs.filter(matcher(filter)), sort)[0]);
+      });
+    },
+
+    findById(id) {
+      return Model.findOne({ _id: String(id) });
+    },
+
+    findOneAndUpdate(filter, update, options = {}) {
+      return query(async () => {
+        await tick();
+        const doc = sortDocs(Model.docs.filter(matcher(filter)), options.sort)[0];
+
+        if (!doc) {
+          if (!options.upsert) {
+            return null;
+          }
+          const seed = Object.fromEntries(Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && (value === null || typeof value !== 'object')));
+          const inserted = { ...clone(defaults), ...seed };
+          applyUpdate(inserted, update, { inserting: true });
+          return options.new ? hydrate(Model.insert(inserted)) : (Model.insert(inserted), null);
+        }
+
+        const before = clone(doc);
+        const updated = clone(doc);
+        applyUpdate(updated, update);
+        Model.checkUnique(updated, doc);
+        Object.keys(doc).forEach(key => delete doc[key]);
+        Object.assign(doc, updated);
+        return hydrate(options.new ? doc : before);
+      });
+    },
+
+    findByIdAndUpdate(id, update, options) {
+      return Model.findOneAndUpdate({ _id: String(id) }, update, options);
+    },
+
+    async updateOne(filter, update, options = {}) {
+      const result = await Model.findOneAndUpdate(filter, update, { ...options, new: true });
+      return { matchedCount: result ? 1 : 0, modifiedCount: result ? 1 : 0 };
+    },
+
+    async updateMany(filter, update) {
+      await tick();
+      const docs = Model.docs.filter(matcher(filter));
+      docs.forEach(doc => applyUpdate(doc, update));
+      return { matchedCount: docs.length, modifiedCount: docs.length };
+    },
+
+    async deleteOne(filter) {
+      await tick();
+      const index = Model.docs.findIndex(matcher(filter));
+      if (index !== -1) {
+        Model.docs.splice(index, 1);
+      }
+      return { deletedCount: index === -1 ? 0 : 1 };
+    },
+
+    async deleteMany(filter) {
+      await tick();
+      const before = Model.docs.length;
+      Model.docs = Model.docs.filter(doc => !matcher(filter)(doc));
+      return { deletedCount: before - Model.docs.length };
+    },
+
+    async countDocuments(filter) {
+      await tick();
+      return Model.docs.filter(matcher(filter)).length;
+    },
+
+    async exists(filter) {
+      await tick();
+      const doc = Model.docs.find(matcher(filter));
+      return doc ? { _id: doc._id } : null;
+    },
+
+    async distinct(field, filter) {
+      await tick();
+      return [...new Set(Model.docs.filter(matcher(filter)).map(doc => getPath(doc, field)))];
+    }
+  });
+
+  return Model;
+};
+
+module.exports = { createMemoryModel };
\ No newline at end of file
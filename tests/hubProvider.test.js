@@ -0,0 +1,56 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const HubProvider = require('../services/socialGraph/hubProvider');
+
+describe('HubProvider', () => {
+  const provider = new HubProvider({ baseURL: 'http://hub.test' });
+
+  afterEach(() => {
+    axios.get.mockReset();
+  });
+
+  it('maps user data messages and leaves follower counts unknown', async () => {
+    axios.get.mockResolvedValue({
+      data: {
+        messages: [
+          { data: { userDataBody: { type: 'USER_DATA_TYPE_USERNAME', value: 'alice' } } },
+          { data: { userDataBody: { type: 'USER_DATA_TYPE_BIO', value: 'gm' } } }
+        ]
+      }
+    });
+
+    const user = await provider.getUserByFid(1);
+
+    expect(user).toMatchObject({ fid: 1, username: 'alice', follower_count: null, following_count: null });
+    expect(user.profile.bio.text).toBe('gm');
+  });
+
+  it('reads hub "not found" errors as null', async () => {
+    axios.get.mockRejectedValue({ response: { status: 404 } });
+    expect(await provider.getUserByFid(1)).toBeNull();
+
+    axios.get.mockRejectedValue({ response: { status: 400, data: { errCode: 'not_found' } } });
+    expect(await provider.getUserByFid(1)).toBeNull();
+  });
+
+  it('throws on other hub errors instead of reading them as not found', async () => {
+    axios.get.mockRejectedValue({ response: { status: 400 }, message: 'Bad Request' });
+
+    await expect(provider.getUserByFid(1)).rejects.toMatchObject({ response: { status: 400 } });
+  });
+
+  it('needs cast references as "<fid>:<hash>"', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await provider.getCast('0xabc')).toBeNull();
+    expect(axios.get).not.toHaveBeenCalled();
+
+    console.warn.mockRestore();
+  });
+
+  it.each(['getChannelMembers', 'getChannelFollowers', 'getUserChannels'])('rejects %s as unsupported', async method => {
+    await expect(provider[method]('base', {})).rejects.toMatchObject({ code: 'UNSUPPORTED' });
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+});
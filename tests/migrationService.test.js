@@ -0,0 +1,102 @@
+jest.mock('../models/Migration', () => require('./helpers/memoryModel').createMemoryModel({ unique: ['version'] }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Migration = require('../models/Migration');
+const migrationService = require('../services/migrationService');
+
+// Test migrations report to this, and run whatever the test puts in behaviour[version]
+global.migrationTest = { calls: [], behaviour: {} };
+
+const writeMigration = (dir, version) => fs.writeFileSync(path.join(dir, `${version}.js`), `
+module.exports = {
+  description: '${version}',
+  async up() {
+    global.migrationTest.calls.push('${version}');
+    const behaviour = global.migrationTest.behaviour['${version}'];
+    if (behaviour) {
+      await behaviour();
+    }
+  }
+};`);
+
+describe('migrationService', () => {
+  let dir;
+  let runner;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    ['001-first', '002-second', '003-third'].forEach(version => writeMigration(dir, version));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete global.migrationTest;
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    Migration.reset();
+    global.migrationTest.calls = [];
+    global.migrationTest.behaviour = {};
+    runner = new migrationService.constructor(dir);
+  });
+
+  it('applies pending migrations in order, once', async () => {
+    expect(await runner.up()).toEqual(['001-first', '002-second', '003-third']);
+    expect(await runner.up()).toEqual([]);
+
+    expect(global.migrationTest.calls).toEqual(['001-first', '002-second', '003-third']);
+    expect((await runner.getStatus()).map(migration => migration.status)).toEqual(['APPLIED', 'APPLIED', 'APPLIED']);
+  });
+
+  it('stops at a failure and retries it on the next run', async () => {
+    global.migrationTest.behaviour['002-second'] = async () => {
+      throw new Error('bad data');
+    };
+
+    await expect(runner.up()).rejects.toThrow('bad data');
+    expect(await runner.getPending()).toEqual([
+      expect.objectContaining({ version: '002-second', status: 'FAILED', error: 'bad data' }),
+      expect.objectContaining({ version: '003-third', status: 'PENDING' })
+    ]);
+
+    delete global.migrationTest.behaviour['002-second'];
+    expect(await runner.up()).toEqual(['002-second', '003-third']);
+  });
+
+  it('refuses to run a migration another runner holds', async () => {
+    let finish;
+    global.migrationTest.behaviour['001-first'] = () => new Promise(resolve => { finish = resolve; });
+
+    const first = runner.up();
+    while (!finish) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    await expect(new migrationService.constructor(dir).up()).rejects.toThrow('Migration 001-first is already running');
+
+    finish();
+    expect(await first).toEqual(['001-first', '002-second', '003-third']);
+    expect(global.migrationTest.calls.filter(version => version === '001-first')).toHaveLength(1);
+  });
+
+  it('takes over a RUNNING record left by a runner that crashed', async () => {
+    await Migration.create({ version: '001-first', status: 'RUNNING', startedAt: new Date(Date.now() - runner.lockTimeoutMs - 1000) });
+
+    expect(await runner.up()).toEqual(['001-first', '002-second', '003-third']);
+  });
+
+  it('releases a crashed runner\'s lock on reset', async () => {
+    await Migration.create({ version: '001-first', status: 'RUNNING', startedAt: new Date() });
+    await expect(runner.up()).rejects.toThrow('already running');
+
+    expect(await runner.reset('001-first')).toMatchObject({ status: 'FAILED' });
+    expect(await runner.reset('001-first')).toBeNull();
+    expect(await runner.up()).toEqual(['001-first', '002-second', '003-third']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,128 @@
+jest.mock('../models/Task', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../models/User', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../models/Participant', () => require('./helpers/memoryModel').createMemoryModel({ unique: [['user', 'task']] }));
+jest.mock('../models/ClaimTicket', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../models/VerificationJob', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../services/sessionService', () => ({ authenticate: jest.fn(async token => ({ userId: token })) }));
+jest.mock('../services/snapchainService', () => ({}));
+jest.mock('../services/verificationService', () => ({}));
+jest.mock('../services/verificationQueueService', () => ({}));
+jest.mock('../services/riskScoringService', () => ({ scoreParticipant: jest.fn() }));
+jest.mock('../services/retentionService', () => ({}));
+jest.mock('../services/contractService', () => ({}));
+jest.mock('../services/claimService', () => ({}));
+jest.mock('../services/claimTicketService', () => ({}));
+
+const express = require('express');
+const request = require('supertest');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Participant = require('../models/Participant');
+const participantRoutes = require('../routes/participants');
+
+const app = express();
+app.use(express.json());
+app.use('/api/participants', participantRoutes);
+
+const createTask = (overrides = {}) => Task.create({
+  status: 'ACTIVE',
+  creator: 'creator',
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  maxParticipants: 2,
+  currentParticipants: 0,
+  requirements: { mustBeVerified: false, minimumFollowers: 0 },
+  waitlist: { enabled: false, maxSize: null, count: 0 },
+  steps: [],
+  ...overrides
+});
+
+const createUsers = async (count) => {
+  const users = [];
+  for (let i = 0; i < count; i++) {
+    users.push(await User.create({ role: 'user', isBanned: false, fid: 1000 + i }));
+  }
+  return users;
+};
+
+// Every join is in flight at the same time
+const joinConcurrently = (task, users) => Promise.all(users.map(user =>
+  request(app)
+    .post(`/api/participants/join/${task._id}`)
+    .set('Authorization', `Bearer ${user._id}`)
+));
+
+const statusCounts = (responses) => responses.reduce((counts, response) => {
+  counts[response.status] = (counts[response.status] || 0) + 1;
+  return counts;
+}, {});
+
+describe('POST /api/participants/join/:taskId', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    Task.reset();
+    User.reset();
+    Participant.reset();
+  });
+
+  it('never hands out more slots than the task has', async () => {
+    const task = await createTask({ maxParticipants: 3 });
+    const users = await createUsers(8);
+
+    const responses = await joinConcurrently(task, users);
+
+    expect(statusCounts(responses)).toEqual({ 201: 3, 400: 5 });
+    expect((await Task.findById(task._id)).currentParticipants).toBe(3);
+    expect(await Participant.countDocuments({ task: task._id })).toBe(3);
+  });
+
+  it('never waitlists more users than the waitlist holds', async () => {
+    const task = await createTask({ maxParticipants: 2, waitlist: { enabled: true, maxSize: 3, count: 0 } });
+    const users = await createUsers(10);
+
+    const responses = await joinConcurrently(task, users);
+
+    expect(statusCounts(responses)).toEqual({ 201: 2, 202: 3, 400: 5 });
+    const updatedTask = await Task.findById(task._id);
+    expect(updatedTask.currentParticipants).toBe(2);
+    expect(updatedTask.waitlist.count).toBe(3);
+    expect(await Participant.countDocuments({ task: task._id, status: 'WAITLISTED' })).toBe(3);
+  });
+
+  it('promotes from the waitlist and frees the position when a participant leaves', async () => {
+    const task = await createTask({ maxParticipants: 1, waitlist: { enabled: true, maxSize: 1, count: 0 } });
+    const [first, second, third] = await createUsers(3);
+
+    await joinConcurrently(task, [first, second]);
+
+    const left = await request(app)
+      .delete(`/api/participants/join/${task._id}`)
+      .set('Authorization', `Bearer ${first._id}`);
+    expect(left.body).toMatchObject({ slotReleased: true, promoted: true });
+
+    const updatedTask = await Task.findById(task._id);
+    expect(updatedTask.currentParticipants).toBe(1);
+    expect(updatedTask.waitlist.count).toBe(0);
+    expect((await Participant.findOne({ user: second._id })).status).toBe('PENDING');
+
+    const [joined] = await joinConcurrently(task, [third]);
+    expect(joined.status).toBe(202);
+  });
+
+  it('lets a withdrawn participant without withdrawnAt rejoin', async () => {
+    const task = await createTask();
+    const [user] = await createUsers(1);
+    await Participant.create({ user: user._id, task: task._id, status: 'WITHDRAWN', withdrawnAt: null });
+
+    const [response] = await joinConcurrently(task, [user]);
+
+    expect(response.status).toBe(201);
+    expect(response.body.participant.status).toBe('PENDING');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,83 @@
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../models/Session', () => require('./helpers/memoryModel').createMemoryModel({
+  unique: ['refreshTokenHash'],
+  defaults: { status: 'ACTIVE', previousTokenHashes: [], revokedAt: null, revokedReason: null }
+}));
+
+const Session = require('../models/Session');
+const sessionService = require('../services/sessionService');
+
+const req = { get: () => 'jest', ip: '127.0.0.1' };
+
+describe('sessionService refresh tokens', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    Session.reset();
+  });
+
+  it('rotates the refresh token on every use', async () => {
+    const first = await sessionService.createSession({ _id: 'user1' }, req);
+
+    const second = await sessionService.refresh(first.refreshToken);
+    const third = await sessionService.refresh(second.refreshToken);
+
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(third.refreshToken).not.toBe(second.refreshToken);
+    expect(await sessionService.authenticate(third.token)).toMatchObject({ userId: 'user1' });
+
+    const [session] = await Session.find({});
+    expect(session.refreshTokenHash).toBe(sessionService.hashToken(third.refreshToken));
+    expect(session.previousTokenHashes).toEqual([first.refreshToken, second.refreshToken].map(token => sessionService.hashToken(token)));
+  });
+
+  it('revokes the session when a rotated-out token is presented again', async () => {
+    const first = await sessionService.createSession({ _id: 'user1' }, req);
+    const second = await sessionService.refresh(first.refreshToken);
+
+    expect(await sessionService.refresh(first.refreshToken)).toEqual({ error: 'Refresh token was already used; the session has been revoked' });
+
+    const [session] = await Session.find({});
+    expect(session).toMatchObject({ status: 'REVOKED', revokedReason: 'refresh_token_reuse' });
+    // The token the legitimate holder got is dead too, and so are its access tokens
+    expect(await sessionService.refresh(second.refreshToken)).toEqual({ error: 'Invalid or expired refresh token' });
+    expect(await sessionService.authenticate(second.token)).toBeNull();
+  });
+
+  it('lets only one of two concurrent refreshes with the same token through', async () => {
+    const { refreshToken } = await sessionService.createSession({ _id: 'user1' }, req);
+
+    const results = await Promise.all([sessionService.refresh(refreshToken), sessionService.refresh(refreshToken)]);
+
+    expect(results.filter(result => result.refreshToken)).toHaveLength(1);
+    expect(results.filter(result => result.error)).toHaveLength(1);
+  });
+
+  it('rejects unknown and expired refresh tokens without touching other sessions', async () => {
+    const { refreshToken } = await sessionService.createSession({ _id: 'user1' }, req);
+    const other = await sessionService.createSession({ _id: 'user2' }, req);
+    await Session.updateOne({ refreshTokenHash: sessionService.hashToken(refreshToken) }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    expect(await sessionService.refresh('not-a-token')).toEqual({ error: 'Invalid or expired refresh token' });
+    expect(await sessionService.refresh(refreshToken)).toEqual({ error: 'Invalid or expired refresh token' });
+    expect(await sessionService.authenticate(other.token)).toMatchObject({ userId: 'user2' });
+  });
+
+  it('keeps only the most recent rotated-out hashes', async () => {
+    const { refreshToken } = await sessionService.createSession({ _id: 'user1' }, req);
+    await Session.updateMany({}, { $set: { previousTokenHashes: Array.from({ length: 100 }, (_, i) => `old${i}`) } });
+
+    await sessionService.refresh(refreshToken);
+
+    const [session] = await Session.find({});
+    expect(session.previousTokenHashes).toHaveLength(100);
+    expect(session.previousTokenHashes[0]).toBe('old1');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,105 @@
+process.env.SIGN_IN_DOMAIN = 'tasks.example';
+
+jest.mock('../models/AuthNonce', () => require('./helpers/memoryModel').createMemoryModel({ unique: ['nonce'], defaults: { usedAt: null } }));
+jest.mock('../models/User', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../services/snapchainService', () => ({}));
+
+const { ethers } = require('ethers');
+const AuthNonce = require('../models/AuthNonce');
+const signInService = require('../services/signInService');
+
+const wallet = ethers.Wallet.createRandom();
+
+const buildMessage = ({ nonce, chainId = 8453, domain = 'tasks.example', address = wallet.address, resources = [] }) => [
+  `${domain} wants you to sign in with your Ethereum account:`,
+  address,
+  '',
+  'Sign in to Warpcast Tasks',
+  '',
+  `URI: https://${domain}`,
+  'Version: 1',
+  `Chain ID: ${chainId}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${new Date().toISOString()}`,
+  ...(resources.length > 0 ? ['Resources:', ...resources.map(uri => `- ${uri}`)] : [])
+].join('\n');
+
+const signIn = async (options = {}) => {
+  const { nonce } = await signInService.issueNonce();
+  const message = buildMessage({ nonce, ...options });
+  return { nonce, message, signature: await wallet.signMessage(message) };
+};
+
+describe('signInService nonces', () => {
+  const domain = 'tasks.example';
+
+  beforeEach(() => {
+    AuthNonce.reset();
+  });
+
+  it('accepts a signed message once and rejects its replay', async () => {
+    const { nonce, message, signature } = await signIn();
+
+    const first = await signInService.verifySiwe(message, signature, { domain });
+    expect(first).toMatchObject({ valid: true, address: wallet.address });
+    expect((await AuthNonce.findOne({ nonce })).usedAt).toBeInstanceOf(Date);
+
+    const replay = await signInService.verifySiwe(message, signature, { domain });
+    expect(replay).toEqual({ valid: false, error: 'Nonce is unknown, expired or already used' });
+  });
+
+  it('lets only one of two concurrent sign-ins spend the nonce', async () => {
+    const { message, signature } = await signIn();
+
+    const results = await Promise.all([
+      signInService.verifySiwe(message, signature, { domain }),
+      signInService.verifySiwe(message, signature, { domain })
+    ]);
+
+    expect(results.filter(result => result.valid)).toHaveLength(1);
+  });
+
+  it('rejects nonces it never issued or that expired', async () => {
+    const unknown = buildMessage({ nonce: 'deadbeefdeadbeef' });
+    expect((await signInService.verifySiwe(unknown, await wallet.signMessage(unknown), { domain })).valid).toBe(false);
+
+    const { nonce, message, signature } = await signIn();
+    await AuthNonce.updateOne({ nonce }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+    expect(await signInService.verifySiwe(message, signature, { domain })).toEqual({ valid: false, error: 'Nonce is unknown, expired or already used' });
+  });
+
+  it('leaves the nonce unspent when the request fails before the signature checks out', async () => {
+    const { nonce, message } = await signIn();
+    const otherSignature = await ethers.Wallet.createRandom().signMessage(message);
+
+    expect((await signInService.verifySiwe(message, otherSignature, { domain })).valid).toBe(false);
+    expect((await signInService.verifySiwe(message, otherSignature, { domain: 'evil.example' })).valid).toBe(false);
+    expect((await AuthNonce.findOne({ nonce })).usedAt).toBeNull();
+  });
+
+  describe('Sign-In With Farcaster', () => {
+    const idRegistry = signInService.idRegistry;
+
+    beforeEach(() => {
+      signInService.idRegistry = { custodyOf: jest.fn(async () => wallet.address) };
+    });
+
+    afterAll(() => {
+      signInService.idRegistry = idRegistry;
+    });
+
+    it('spends the nonce and rejects a replay', async () => {
+      const { message, signature } = await signIn({ chainId: 10, resources: ['farcaster://fid/42'] });
+
+      expect(await signInService.verifySiwf(message, signature, { domain })).toMatchObject({ valid: true, fid: 42 });
+      expect((await signInService.verifySiwf(message, signature, { domain })).valid).toBe(false);
+    });
+
+    it('doesn\'t spend the nonce for a message without a farcaster://fid resource', async () => {
+      const { nonce, message, signature } = await signIn({ chainId: 10 });
+
+      expect(await signInService.verifySiwf(message, signature, { domain })).toEqual({ valid: false, error: 'Message has no farcaster://fid resource' });
+      expect((await AuthNonce.findOne({ nonce })).usedAt).toBeNull();
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,125 @@
+process.env.SOCIAL_GRAPH_PROVIDER = 'fixture';
+process.env.SNAPCHAIN_CACHE_ENABLED = 'false';
+
+const snapchainService = require('../services/snapchainService');
+const { FixtureProvider, HubProvider } = require('../services/socialGraph');
+
+describe('snapchainService with the fixture provider', () => {
+  let provider;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    provider = new FixtureProvider({
+      fixtures: {
+        users: [
+          { fid: 1, username: 'alice', follower_count: 120 },
+          { fid: 2, username: 'bob' }
+        ],
+        casts: [
+          { hash: '0xabc', author: { fid: 2 }, text: 'gm' },
+          {
+            hash: '0xdef',
+            author: { fid: 1 },
+            text: 'Joining the Snapchain launch',
+            parent_hash: '0xabc',
+            timestamp: '2026-10-01T00:00:00.000Z',
+            mentioned_profiles: [{ fid: 2 }],
+            embeds: [{ url: 'https://example.com/launch' }]
+          }
+        ],
+        reactions: [{ fid: 1, castHash: '0xabc', type: 'like' }],
+        follows: [{ fid: 1, targetFid: 2 }],
+        channelMembers: [{ channelId: 'base', fid: 1 }]
+      }
+    });
+    snapchainService.setProvider(provider);
+  });
+
+  it('looks users up by username and fid', async () => {
+    expect((await snapchainService.getUserByUsername('alice')).fid).toBe(1);
+    expect((await snapchainService.getUserByFid(2)).username).toBe('bob');
+    expect(await snapchainService.getUserByFid(99)).toBeNull();
+  });
+
+  it('verifies follows', async () => {
+    expect(await snapchainService.verifyUserFollowsUser(1, 'bob')).toBe(true);
+    expect(await snapchainService.verifyUserFollowsUser(2, 'alice')).toBe(false);
+    expect(await snapchainService.verifyUserFollowsUser(1, 'nobody')).toBe(false);
+  });
+
+  it('verifies likes and recasts separately', async () => {
+    expect(await snapchainService.verifyCastLike(1, '0xabc')).toBe(true);
+    expect(await snapchainService.verifyCastRecast(1, '0xabc')).toBe(false);
+  });
+
+  it('verifies channel membership', async () => {
+    expect(await snapchainService.verifyChannelMembership(1, 'base')).toBe(true);
+    expect(await snapchainService.verifyChannelMembership(2, 'base')).toBe(false);
+  });
+
+  it('finds replies among the user\'s casts', async () => {
+    expect(await snapchainService.verifyCastReply(1, '0xabc')).toBe(true);
+    expect(await snapchainService.verifyCastReply(2, '0xabc')).toBe(false);
+  });
+
+  it('follows cursors across pages', async () => {
+    for (let fid = 10; fid < 15; fid++) {
+      provider.addReaction(fid, '0x123', 'like');
+    }
+
+    const pageSize = snapchainService.pageSize;
+    snapchainService.pageSize = 2;
+    try {
+      expect(await snapchainService.getCastLikes('0x123')).toHaveLength(5);
+      expect(await snapchainService.getCastLikes('0x123', 3)).toHaveLength(3);
+    } finally {
+      snapchainService.pageSize = pageSize;
+    }
+  });
+
+  it('stops paginating when a provider keeps returning empty pages', async () => {
+    const fetchPage = jest.fn(async () => ({ items: [], nextCursor: 'more' }));
+
+    expect(await snapchainService.collectPages(fetchPage)).toEqual([]);
+    expect(fetchPage).toHaveBeenCalledTimes(snapchainService.maxPages);
+
+    fetchPage.mockClear();
+    expect(await snapchainService.findInPages(fetchPage, () => true)).toEqual({ found: false, scanned: 0, truncated: true });
+    expect(fetchPage).toHaveBeenCalledTimes(snapchainService.maxPages);
+  });
+
+  describe('castMatchesCriteria', () => {
+    const cast = {
+      text: 'Joining the Snapchain launch',
+      timestamp: '2026-10-01T00:00:00.000Z',
+      mentioned_profiles: [{ fid: 2 }],
+      embeds: [{ url: 'https://example.com/launch' }]
+    };
+
+    it('requires every criterion that is set', () => {
+      expect(snapchainService.castMatchesCriteria(cast, { mentionFid: 2, keyword: 'snapchain', url: 'https://example.com' })).toBe(true);
+      expect(snapchainService.castMatchesCriteria(cast, { mentionFid: 3 })).toBe(false);
+      expect(snapchainService.castMatchesCriteria(cast, { keyword: 'hub' })).toBe(false);
+      expect(snapchainService.castMatchesCriteria(cast, { url: 'https://other.example' })).toBe(false);
+    });
+
+    it('ignores casts published before since', () => {
+      expect(snapchainService.castMatchesCriteria(cast, { since: '2026-10-02T00:00:00.000Z' })).toBe(false);
+      expect(snapchainService.castMatchesCriteria(cast, { since: '2026-09-30T00:00:00.000Z' })).toBe(true);
+    });
+  });
+
+  it('fails channel checks on providers without channel support', async () => {
+    snapchainService.setProvider(new HubProvider({ baseURL: 'http://hub.invalid' }));
+
+    await expect(snapchainService.verifyChannelMembership(1, 'base')).rejects.toMatchObject({ code: 'UNSUPPORTED' });
+  });
+});
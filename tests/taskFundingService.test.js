@@ -0,0 +1,39 @@
+jest.mock('../models/Task', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../models/User', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../services/contractService', () => ({
+  getTokenInfo: jest.fn(),
+  getTokenFundingStatus: jest.fn()
+}));
+
+const contractService = require('../services/contractService');
+const taskFundingService = require('../services/taskFundingService');
+
+const TOKEN = '0x00000000000000000000000000000000000000aa';
+
+const priceTokenTask = (rewardPerParticipant) => taskFundingService.priceTask({
+  rewardPerParticipant,
+  rewardTokenAddress: TOKEN,
+  maxParticipants: 10,
+  creatorAddress: '0x00000000000000000000000000000000000000bb'
+});
+
+describe('taskFundingService.priceTask', () => {
+  beforeEach(() => {
+    contractService.getTokenFundingStatus.mockResolvedValue({ hasBalance: true, needsApproval: false, balance: '0' });
+  });
+
+  it('checks token rewards against the bounds for tokens without decimals', async () => {
+    contractService.getTokenInfo.mockResolvedValue({ address: TOKEN, symbol: 'WHOLE', decimals: 0 });
+
+    expect(await priceTokenTask('5')).toMatchObject({ rewardPerParticipant: '5', totalFunding: '50' });
+    expect((await priceTokenTask('0')).error).toMatch(/between 0.01 and 1000 WHOLE/);
+    expect((await priceTokenTask('1001')).error).toMatch(/between 0.01 and 1000 WHOLE/);
+  });
+
+  it('checks token rewards in base units', async () => {
+    contractService.getTokenInfo.mockResolvedValue({ address: TOKEN, symbol: 'USDC', decimals: 6 });
+
+    expect(await priceTokenTask('10000')).toMatchObject({ rewardPerParticipant: '10000' });
+    expect((await priceTokenTask('9999')).error).toMatch(/between/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,174 @@
+jest.mock('../models/Task', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../models/Participant', () => require('./helpers/memoryModel').createMemoryModel());
+jest.mock('../services/contractService', () => ({
+  getRemainingFunds: jest.fn(),
+  getTaskDetails: jest.fn(),
+  sendWithdrawRemainingFunds: jest.fn(),
+  sendCancelTask: jest.fn(),
+  waitForRefund: jest.fn(),
+  getRefundFromTransaction: jest.fn()
+}));
+jest.mock('../services/claimTicketService', () => ({ revokeLiveTicket: jest.fn() }));
+
+const Task = require('../models/Task');
+const contractService = require('../services/contractService');
+const taskLifecycleService = require('../services/taskLifecycleService');
+
+const HASH = `0x${'ab'.repeat(32)}`;
+
+const createTask = (refund = {}) => Task.create({
+  status: 'COMPLETED',
+  contractTaskId: 7,
+  refund: {
+    status: 'PENDING',
+    reason: 'LEFTOVER',
+    attempts: 0,
+    nextAttemptAt: new Date(),
+    transactionHash: null,
+    ...refund
+  }
+});
+
+describe('taskLifecycleService refunds', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    Task.reset();
+    jest.clearAllMocks();
+    contractService.getRemainingFunds.mockResolvedValue('1000');
+    contractService.sendWithdrawRemainingFunds.mockResolvedValue(HASH);
+  });
+
+  it('moves a leftover refund from PENDING to SENT, then CONFIRMED', async () => {
+    const task = await createTask();
+
+    expect(await taskLifecycleService.sendRefund(task)).toBe(HASH);
+
+    let refund = (await Task.findById(task._id)).refund;
+    expect(refund).toMatchObject({ status: 'SENT', attempts: 1, transactionHash: HASH });
+
+    contractService.getRefundFromTransaction.mockResolvedValue({ status: 'CONFIRMED', transactionHash: HASH, amount: '1000' });
+    await taskLifecycleService.checkRefund(await Task.findById(task._id));
+
+    refund = (await Task.findById(task._id)).refund;
+    expect(refund).toMatchObject({ status: 'CONFIRMED', amount: '1000', transactionHash: HASH });
+  });
+
+  it('confirms a leftover refund with nothing left without sending', async () => {
+    contractService.getRemainingFunds.mockResolvedValue('0');
+    const task = await createTask();
+
+    expect(await taskLifecycleService.sendRefund(task)).toBeNull();
+
+    expect(contractService.sendWithdrawRemainingFunds).not.toHaveBeenCalled();
+    expect((await Task.findById(task._id)).refund).toMatchObject({ status: 'CONFIRMED', amount: '0' });
+  });
+
+  it('keeps a SENT refund waiting while the transaction is unmined', async () => {
+    const task = await createTask({ status: 'SENT', attempts: 1, transactionHash: HASH });
+    contractService.getRefundFromTransaction.mockResolvedValue({ status: 'PENDING', transactionHash: HASH });
+
+    await taskLifecycleService.checkRefund(task);
+
+    expect((await Task.findById(task._id)).refund.status).toBe('SENT');
+  });
+
+  it('retries a reverted refund later, and gives up after the last attempt', async () => {
+    contractService.getRefundFromTransaction.mockResolvedValue({ status: 'FAILED', transactionHash: HASH, reason: 'Transaction reverted' });
+
+    const retried = await createTask({ status: 'SENT', attempts: 1, transactionHash: HASH });
+    await taskLifecycleService.checkRefund(retried);
+
+    const retriedRefund = (await Task.findById(retried._id)).refund;
+    expect(retriedRefund).toMatchObject({ status: 'PENDING', transactionHash: null, lastError: 'Transaction reverted' });
+    expect(retriedRefund.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+    const exhausted = await createTask({ status: 'SENT', attempts: taskLifecycleService.refundMaxAttempts, transactionHash: HASH });
+    await taskLifecycleService.checkRefund(exhausted);
+
+    expect((await Task.findById(exhausted._id)).refund).toMatchObject({ status: 'FAILED', nextAttemptAt: null });
+  });
+
+  it('backs off and eventually fails when the remaining funds cannot be read', async () => {
+    contractService.getRemainingFunds.mockRejectedValue(new Error('RPC unavailable'));
+    const task = await createTask();
+
+    await taskLifecycleService.sendRefund(task);
+
+    let refund = (await Task.findById(task._id)).refund;
+    expect(refund).toMatchObject({ status: 'PENDING', attempts: 1, lastError: 'RPC unavailable' });
+    expect(refund.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+    for (let attempt = 2; attempt <= taskLifecycleService.refundMaxAttempts; attempt++) {
+      await taskLifecycleService.sendRefund(await Task.findById(task._id));
+    }
+
+    refund = (await Task.findById(task._id)).refund;
+    expect(refund).toMatchObject({ status: 'FAILED', attempts: taskLifecycleService.refundMaxAttempts, nextAttemptAt: null });
+    expect(contractService.sendWithdrawRemainingFunds).not.toHaveBeenCalled();
+  });
+
+  it('puts a refund whose send failed back to PENDING', async () => {
+    contractService.sendWithdrawRemainingFunds.mockRejectedValue(new Error('insufficient funds for gas'));
+    const task = await createTask();
+
+    expect(await taskLifecycleService.sendRefund(task)).toBeNull();
+
+    expect((await Task.findById(task._id)).refund).toMatchObject({ status: 'PENDING', attempts: 1, lastError: 'insufficient funds for gas' });
+  });
+
+  describe('cancellations', () => {
+    beforeEach(() => {
+      contractService.sendCancelTask.mockResolvedValue(HASH);
+      contractService.getTaskDetails.mockResolvedValue({ isActive: true });
+    });
+
+    it('cancels on-chain even when nothing is left to refund', async () => {
+      contractService.getRemainingFunds.mockResolvedValue('0');
+      const task = await createTask({ reason: 'CANCELLATION' });
+
+      expect(await taskLifecycleService.sendRefund(task)).toBe(HASH);
+
+      expect(contractService.sendCancelTask).toHaveBeenCalledWith(7);
+      expect((await Task.findById(task._id)).refund.status).toBe('SENT');
+    });
+
+    it('finishes the cancellation once the cancel transaction is confirmed', async () => {
+      const task = await createTask({ reason: 'CANCELLATION', status: 'SENT', attempts: 1, transactionHash: HASH });
+      contractService.getRefundFromTransaction.mockResolvedValue({ status: 'CONFIRMED', transactionHash: HASH, amount: '500' });
+
+      await taskLifecycleService.checkRefund(task);
+
+      const cancelled = await Task.findById(task._id);
+      expect(cancelled.status).toBe('CANCELLED');
+      expect(cancelled.refund).toMatchObject({ status: 'CONFIRMED', amount: '500' });
+    });
+
+    it('confirms a cancel whose hash was lost from the on-chain state instead of sending it again', async () => {
+      contractService.getTaskDetails.mockResolvedValue({ isActive: false });
+      const task = await createTask({ reason: 'CANCELLATION', status: 'SENT', attempts: 1 });
+
+      await taskLifecycleService.checkRefund(task);
+
+      expect(contractService.sendCancelTask).not.toHaveBeenCalled();
+      const cancelled = await Task.findById(task._id);
+      expect(cancelled.status).toBe('CANCELLED');
+      expect(cancelled.refund.status).toBe('CONFIRMED');
+    });
+
+    it('retries a cancel whose hash was lost when the task is still active on-chain', async () => {
+      const task = await createTask({ reason: 'CANCELLATION', status: 'SENT', attempts: 1 });
+
+      await taskLifecycleService.checkRefund(task);
+
+      expect((await Task.findById(task._id)).refund).toMatchObject({ status: 'PENDING', lastError: 'Refund transaction was not recorded' });
+    });
+  });
+});